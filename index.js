@@ -1,9 +1,14 @@
 // Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
 // SPDX-License-Identifier: Apache-2.0
 
+const childProcess = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const util = require('util');
 const chalk = require('chalk');
+const diff = require('diff');
+const handlebars = require('handlebars');
+const graphql = require('graphql');
 const stringify = require('json-stable-stringify-pretty');
 const graphqlGenerator = require('amplify-graphql-docs-generator').default;
 const apiGenerator = require('aws-appsync-codegen');
@@ -12,227 +17,2241 @@ const {
     version
 } = require('./package.json');
 
+const writeFile = util.promisify(fs.writeFile);
+const rename = util.promisify(fs.rename);
+
+/**
+ * The list of supported values for the type of each custom.amplify entry.
+ */
+const CONFIGURATION_TYPES = [
+    'native',
+    'javascript',
+    'typescript',
+    'commonjs',
+    'dotenv',
+    'template',
+    'amplifyconfiguration.json',
+    'amplify_outputs.json',
+    'schema.json',
+    'schema.graphql',
+    'graphql',
+    'appsync'
+];
+
+/**
+ * The types of custom.amplify entries that are additional sources of resources,
+ * with the options each one requires.
+ */
+const SOURCE_TYPES = [ 'stack', 'import' ];
+const SOURCE_REQUIRED_OPTIONS = {
+    stack: [ 'stackName' ],
+    import: [ 'exportName', 'resourceType' ]
+};
+
+/**
+ * The languages supported by the graphql type, with the extension of the files
+ * written for each one.
+ */
+const GRAPHQL_LANGUAGES = {
+    graphql: 'graphql',
+    javascript: 'js',
+    typescript: 'ts',
+    flow: 'js'
+};
+
+/**
+ * The code generation options, with the types that support each one.
+ */
+const CODEGEN_OPTION_TYPES = {
+    maxDepth: [ 'graphql', 'appsync' ],
+    language: [ 'graphql' ],
+    separateFiles: [ 'graphql' ],
+    documents: [ 'appsync' ]
+};
+
+/**
+ * The operation types, in the order they are written.  Each one is written to a
+ * file of the same name when the separateFiles option is specified.
+ */
+const GRAPHQL_OPERATION_TYPES = [ 'queries', 'mutations', 'subscriptions' ];
+
+/**
+ * The policies for writing secrets (user pool app client secrets and AWS AppSync
+ * API keys) to a configuration file.
+ */
+const SECRET_POLICIES = [ 'include', 'omit', 'env-reference' ];
+
+/**
+ * The configuration types that can refer to environment variables for secrets.
+ * The native SDKs read JSON files as is, so a placeholder would not be replaced.
+ */
+const ENV_REFERENCE_TYPES = [ 'javascript', 'typescript', 'commonjs', 'dotenv', 'template' ];
+
+/**
+ * Marks a secret that is replaced by a JavaScript expression once the JavaScript
+ * configuration has been converted to source code.
+ */
+const SECRET_MARKER = '@@amplify-secret:';
+
+/**
+ * The types that can merge the configuration of several stages into one file.
+ */
+const MERGE_STAGES_TYPES = [ 'javascript', 'typescript', 'commonjs' ];
+
+/**
+ * The comment in a merged stages index that lists the stages it selects between.
+ */
+const STAGES_MARKER = '// Stages: ';
+
+/**
+ * The type of custom.amplify entry that loads a local module or package to
+ * register additional resource describers and configuration types.
+ */
+const EXTENSION_TYPE = 'extension';
+
+/**
+ * The file extensions supported by the appsync type, which selects the code generator target.
+ */
+const APPSYNC_EXTENSIONS = [ 'flow', 'json', 'scala', 'swift', 'ts' ];
+
+/**
+ * The access levels supported by the Amplify storage category.
+ */
+const ACCESS_LEVELS = [ 'guest', 'protected', 'private' ];
+
+/**
+ * The custom.amplify options that refer to a resource in the stack by its logical ID,
+ * with the expected resource type, and whether the option can be 'disabled'.
+ */
+const RESOURCE_OPTIONS = {
+    appClient: { type: 'AWS::Cognito::UserPoolClient', canDisable: false },
+    appSyncApi: { type: 'AWS::AppSync::GraphQLApi', canDisable: false },
+    apiKey: { type: 'AWS::AppSync::ApiKey', canDisable: true },
+    s3bucket: { type: 'AWS::S3::Bucket', canDisable: true },
+    pinpointApp: { type: 'AWS::Pinpoint::App', canDisable: true }
+};
+
+/**
+ * The custom.amplify options that add an opt-in section for a type of resource,
+ * with the resource type.  The option is true, or an object with include and/or
+ * exclude lists of names.
+ */
+const SECTION_OPTIONS = {
+    functions: 'AWS::Lambda::Function',
+    tables: 'AWS::DynamoDB::Table'
+};
+
+/**
+ * The form of the user pool app client IDs generated by Amazon Cognito.  An appClient
+ * option of this form that is not a logical ID in the stack refers to a client
+ * outside the stack.
+ */
+const USER_POOL_CLIENT_ID_PATTERN = /^[a-z0-9]{26}$/;
+
+/**
+ * The JSON schema for custom.amplify, registered with the Serverless Framework
+ * configuration validation where it is available.
+ */
+const CONFIGURATION_SCHEMA = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            filename: { type: 'string' },
+            type: { type: 'string' },
+            appClient: { type: 'string' },
+            userPoolId: { type: 'string' },
+            appSyncApi: { type: 'string' },
+            apiKey: { type: 'string' },
+            s3bucket: { type: 'string' },
+            pinpointApp: { type: 'string' },
+            redirectSignIn: { type: 'string' },
+            redirectSignOut: { type: 'string' },
+            federatedProviders: { type: 'object' },
+            apiNames: { type: 'object' },
+            cloudfront: { type: 'boolean' },
+            functions: { type: [ 'boolean', 'object' ] },
+            tables: { type: [ 'boolean', 'object' ] },
+            defaultAccessLevel: { type: 'string', enum: ACCESS_LEVELS },
+            stackName: { type: 'string' },
+            exportName: { type: 'string' },
+            resourceType: { type: 'string' },
+            logicalId: { type: 'string' },
+            region: { type: 'string' },
+            module: { type: 'string' },
+            template: { type: 'string' },
+            maxDepth: { type: 'integer', minimum: 1 },
+            language: { type: 'string', enum: Object.keys(GRAPHQL_LANGUAGES) },
+            separateFiles: { type: 'boolean' },
+            documents: { type: [ 'string', 'array' ], items: { type: 'string' } },
+            breakingChanges: { type: 'string', enum: [ 'warn', 'fail' ] },
+            secrets: { type: 'string', enum: SECRET_POLICIES },
+            secretsFile: { type: 'string' },
+            mergeStages: { type: 'boolean' },
+            stageVariable: { type: 'string' },
+            defaultStage: { type: 'string' },
+            prefix: { type: 'string' }
+        },
+        required: [ 'type' ]
+    }
+};
+
+/**
+ * The maximum number of resources that are described at the same time.
+ */
+const DESCRIBE_CONCURRENCY = 4;
+
+/**
+ * Maps each item through an async function, running at most limit at a time.
+ * The results are in the same order as the items.
+ *
+ * @param {Object[]} items the items to map
+ * @param {Number} limit the maximum number of concurrent calls
+ * @param {Function} fn the async function to call for each item
+ * @returns {Promise<Object[]>} the results
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    let results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+    const workers = [];
+    for (let i = 0 ; i < Math.min(limit, items.length) ; i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Creates a directory, along with any missing parent directories.
+ *
+ * @param {String} directory the directory to create
+ */
+function ensureDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+        ensureDirectory(path.dirname(directory));
+        fs.mkdirSync(directory);
+    }
+}
+
+/**
+ * Combines the results of writing several files into the result for an entry.
+ *
+ * @param {String[]} results the result of writing each file
+ * @returns {String} 'written' if any file was written, 'dry-run' if any file was
+ *  diffed, otherwise 'unchanged'
+ */
+function combineWriteResults(results) {
+    return [ 'written', 'dry-run' ].find(r => results.includes(r)) || 'unchanged';
+}
+
+/**
+ * Removes a directory and everything within it.
+ *
+ * @param {String} directory the directory to remove
+ */
+function removeDirectory(directory) {
+    if (fs.existsSync(directory)) {
+        fs.readdirSync(directory).forEach((entry) => {
+            const entryPath = path.join(directory, entry);
+            if (fs.statSync(entryPath).isDirectory()) {
+                removeDirectory(entryPath);
+            } else {
+                fs.unlinkSync(entryPath);
+            }
+        });
+        fs.rmdirSync(directory);
+    }
+}
+
+/**
+ * Removes the time stamp from the header of a generated file, so that files can
+ * be compared without it.
+ *
+ * @param {String} contents the contents of the file
+ * @returns {String} the contents without the time stamp
+ */
+function stripTimestamp(contents) {
+    return contents.replace(/^((?:\/\/|#) Written by .*) on \S+$/m, '$1');
+}
+
+/**
+ * The Cognito names for the social identity providers, mapped to the names used in
+ * the 'amplify_outputs.json' file.
+ */
+const AMPLIFY_OUTPUTS_IDENTITY_PROVIDERS = {
+    'Google': 'GOOGLE',
+    'Facebook': 'FACEBOOK',
+    'LoginWithAmazon': 'LOGIN_WITH_AMAZON',
+    'SignInWithApple': 'SIGN_IN_WITH_APPLE'
+};
+
+/**
+ * Each authentication provider that is supported for federation has an entry in the
+ * SupportedLoginProviders of the identity pool that is a "magic" domain - constant for
+ * each provider.  This maps the domain to the keys used in each output format.  Once you
+ * know the provider domain, you can easily add new provider support (or use the
+ * federatedProviders option).
+ */
+const FEDERATED_PROVIDERS = {
+    'accounts.google.com': { javascript: 'google_client_id', native: 'GoogleSignin', property: 'ClientId-WebApp', permissions: 'email,profile,openid' },
+    'graph.facebook.com': { javascript: 'facebook_app_id', native: 'FacebookSignin', property: 'AppId', permissions: 'public_profile' },
+    'www.amazon.com': { javascript: 'amazon_client_id', native: 'AmazonSignin', property: 'ClientId', permissions: 'profile' },
+    'appleid.apple.com': { javascript: 'apple_client_id', native: 'AppleSignin', property: 'ClientId' },
+    // Twitter is configured as "consumerKey;consumerSecret" - never write the secret
+    'api.twitter.com': { javascript: 'twitter_consumer_key', native: 'TwitterSignin', property: 'ConsumerKey', value: id => id.split(';')[0] }
+};
+
 class ServerlessAmplifyPlugin {
     constructor(serverless, options) {
         this.useragent = `${name}/${version}`;
         this.serverless = serverless;
         this.options = options;
 
-        this.provider = this.serverless.getProvider('aws');
-        this.stage = this.provider.getStage();
-        this.config = this.serverless.service.custom.amplify || [];
+        this.provider = this.serverless.getProvider('aws');
+        this.stage = this.provider.getStage();
+        this.config = this.serverless.service.custom.amplify || [];
+
+        if (this.serverless.configSchemaHandler && typeof this.serverless.configSchemaHandler.defineCustomProperties === 'function') {
+            this.serverless.configSchemaHandler.defineCustomProperties({
+                type: 'object',
+                properties: { amplify: CONFIGURATION_SCHEMA }
+            });
+        }
+        // Types registered by other plugins are not known until every plugin is loaded,
+        // so unknown types are checked by the initialize hook instead
+        this.resourceDescribers = {};
+        this.configurationTypes = {};
+        this.secretsFileResults = [];
+        this.loadExtensions();
+        this.validateConfiguration(undefined, false);
+
+        this.commands = {
+            amplify: {
+                usage: 'Manage the AWS Amplify configuration files',
+                commands: {
+                    generate: {
+                        usage: 'Regenerate the AWS Amplify configuration files from the deployed stack',
+                        lifecycleEvents: [ 'generate' ],
+                        options: {
+                            filename: {
+                                usage: 'Only generate the custom.amplify entry with this filename',
+                                shortcut: 'f'
+                            },
+                            'dry-run': {
+                                usage: 'Print a diff of the changes to each file instead of writing it'
+                            },
+                            offline: {
+                                usage: 'Generate from the compiled template and this stack outputs file, without calling AWS'
+                            },
+                            refresh: {
+                                usage: 'Describe the resources again, rather than using the cached resources'
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        this.hooks = {
+            initialize: this.validateTypes.bind(this),
+            'before:deploy:deploy': this.validateResources.bind(this),
+            'after:deploy:deploy': this.process.bind(this),
+            'amplify:generate:generate': this.generate.bind(this)
+        };
+    }
+
+    stackName() {
+        return this.provider.naming.getStackName();
+    }
+
+    /**
+     * Validates the custom.amplify configuration.  Every problem is collected so
+     * that they can all be reported at once, before any deployment happens.
+     *
+     * @param {Object} templateResources the CloudFormation template resources to check
+     *  logical IDs against - if not specified, logical IDs are not checked
+     * @param {Boolean} checkTypes false to skip the entries with types that are not registered yet
+     */
+    validateConfiguration(templateResources, checkTypes = true) {
+        let problems = [];
+        let warnings = [];
+
+        if (!Array.isArray(this.config)) {
+            problems.push('custom.amplify must be a list of files to generate');
+        } else {
+            // Resources within nested stacks and other stacks are not in the template, so missing resources may not be an error
+            const hasNestedStacks = typeof templateResources !== 'undefined' &&
+                (Object.keys(templateResources).some(k => templateResources[k].Type === 'AWS::CloudFormation::Stack') ||
+                    this.config.some(f => this.isSourceEntry(f)));
+
+            this.config.forEach((fileDetails, index) => {
+                if (typeof fileDetails !== 'object' || fileDetails === null) {
+                    problems.push(`entry ${index + 1}: must be an object with a type and a filename`);
+                    return;
+                }
+
+                const entry = typeof fileDetails.filename === 'string' ? `entry ${index + 1} (${fileDetails.filename})` : `entry ${index + 1}`;
+                if (this.isExtensionEntry(fileDetails)) {
+                    if (typeof fileDetails.module !== 'string') {
+                        problems.push(`entry ${index + 1}: module is required for the ${fileDetails.type} type`);
+                    }
+                    return;
+                }
+                if (this.isSourceEntry(fileDetails)) {
+                    SOURCE_REQUIRED_OPTIONS[fileDetails.type.toLowerCase()].filter(option => typeof fileDetails[option] !== 'string').forEach((option) => {
+                        problems.push(`entry ${index + 1}: ${option} is required for the ${fileDetails.type} type`);
+                    });
+                    return;
+                }
+
+                if (typeof fileDetails.filename !== 'string' || fileDetails.filename.length === 0) {
+                    problems.push(`${entry}: filename is required`);
+                }
+                if (typeof fileDetails.type !== 'string') {
+                    problems.push(`${entry}: type is required`);
+                } else if (checkTypes && !CONFIGURATION_TYPES.includes(fileDetails.type.toLowerCase()) &&
+                    !this.configurationTypes.hasOwnProperty(fileDetails.type.toLowerCase())) {
+                    const types = CONFIGURATION_TYPES.concat(Object.keys(this.configurationTypes), SOURCE_TYPES, [ EXTENSION_TYPE ]);
+                    problems.push(`${entry}: unknown type '${fileDetails.type}' - must be one of ${types.join(', ')}`);
+                } else if (fileDetails.type.toLowerCase() === 'template' && typeof fileDetails.template !== 'string') {
+                    problems.push(`${entry}: template is required for the template type`);
+                } else if (fileDetails.type.toLowerCase() === 'appsync' && typeof fileDetails.filename === 'string') {
+                    const extension = path.extname(fileDetails.filename).substr(1);
+                    if (!APPSYNC_EXTENSIONS.includes(extension)) {
+                        problems.push(`${entry}: unsupported extension '${extension}' for the appsync type - must be one of ${APPSYNC_EXTENSIONS.join(', ')}`);
+                    }
+                }
+
+                Object.keys(CODEGEN_OPTION_TYPES).filter(option => fileDetails.hasOwnProperty(option)).forEach((option) => {
+                    const types = CODEGEN_OPTION_TYPES[option];
+                    if (typeof fileDetails.type === 'string' && !types.includes(fileDetails.type.toLowerCase())) {
+                        problems.push(`${entry}: ${option} is only supported for the ${types.join(', ')} type${types.length > 1 ? 's' : ''}`);
+                    }
+                });
+                if (fileDetails.hasOwnProperty('maxDepth') && !(Number.isInteger(fileDetails.maxDepth) && fileDetails.maxDepth > 0)) {
+                    problems.push(`${entry}: maxDepth must be a positive integer`);
+                }
+                if (fileDetails.hasOwnProperty('language') && !GRAPHQL_LANGUAGES.hasOwnProperty(fileDetails.language)) {
+                    problems.push(`${entry}: unknown language '${fileDetails.language}' - must be one of ${Object.keys(GRAPHQL_LANGUAGES).join(', ')}`);
+                }
+                if (fileDetails.hasOwnProperty('documents') && ![].concat(fileDetails.documents).every(d => typeof d === 'string')) {
+                    problems.push(`${entry}: documents must be a path or a list of paths`);
+                }
+
+                if (fileDetails.hasOwnProperty('secrets') && !SECRET_POLICIES.includes(fileDetails.secrets)) {
+                    problems.push(`${entry}: unknown secrets policy '${fileDetails.secrets}' - must be one of ${SECRET_POLICIES.join(', ')}`);
+                } else if (fileDetails.secrets === 'env-reference' && typeof fileDetails.type === 'string' &&
+                    !ENV_REFERENCE_TYPES.includes(fileDetails.type.toLowerCase())) {
+                    problems.push(`${entry}: the env-reference secrets policy is only supported for the ${ENV_REFERENCE_TYPES.join(', ')} types`);
+                }
+                if (fileDetails.hasOwnProperty('secretsFile')) {
+                    if (typeof fileDetails.secretsFile !== 'string') {
+                        problems.push(`${entry}: secretsFile must be a filename`);
+                    } else if (fileDetails.hasOwnProperty('secrets') && fileDetails.secrets !== 'include') {
+                        problems.push(`${entry}: secretsFile cannot be used with the ${fileDetails.secrets} secrets policy`);
+                    } else if (typeof fileDetails.type === 'string' && (fileDetails.type.toLowerCase() === 'template' ||
+                        this.configurationTypes.hasOwnProperty(fileDetails.type.toLowerCase()))) {
+                        problems.push(`${entry}: secretsFile is not supported for the ${fileDetails.type} type`);
+                    }
+                }
+
+                if (fileDetails.hasOwnProperty('mergeStages') && typeof fileDetails.type === 'string' &&
+                    !MERGE_STAGES_TYPES.includes(fileDetails.type.toLowerCase())) {
+                    problems.push(`${entry}: mergeStages is only supported for the ${MERGE_STAGES_TYPES.join(', ')} types`);
+                }
+                if (fileDetails.hasOwnProperty('stageVariable') && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(fileDetails.stageVariable)) {
+                    problems.push(`${entry}: stageVariable must be the name of an environment variable`);
+                }
+                if (fileDetails.hasOwnProperty('defaultStage') && !(typeof fileDetails.defaultStage === 'string' && /^[A-Za-z0-9_-]+$/.test(fileDetails.defaultStage))) {
+                    problems.push(`${entry}: defaultStage must be the name of a stage`);
+                }
+                [ 'stageVariable', 'defaultStage' ].filter(option => fileDetails.hasOwnProperty(option) && fileDetails.mergeStages !== true).forEach((option) => {
+                    problems.push(`${entry}: ${option} requires the mergeStages option`);
+                });
+                // Every stage file refers to the secrets file, so each stage needs its own
+                if (fileDetails.mergeStages === true && typeof fileDetails.secretsFile === 'string' && !fileDetails.secretsFile.includes('{stage}')) {
+                    problems.push(`${entry}: secretsFile must include the {stage} placeholder when mergeStages is set`);
+                }
+
+                if (fileDetails.hasOwnProperty('breakingChanges') && ![ 'warn', 'fail' ].includes(fileDetails.breakingChanges)) {
+                    problems.push(`${entry}: breakingChanges must be warn or fail`);
+                }
+
+                if (fileDetails.hasOwnProperty('defaultAccessLevel') && !ACCESS_LEVELS.includes(fileDetails.defaultAccessLevel)) {
+                    problems.push(`${entry}: unknown defaultAccessLevel '${fileDetails.defaultAccessLevel}' - must be one of ${ACCESS_LEVELS.join(', ')}`);
+                }
+
+                Object.keys(SECTION_OPTIONS).filter(option => fileDetails.hasOwnProperty(option)).forEach((option) => {
+                    const value = fileDetails[option];
+                    const isList = list => typeof list === 'undefined' || (Array.isArray(list) && list.every(name => typeof name === 'string'));
+                    if (typeof value === 'boolean') {
+                        return;
+                    }
+                    if (typeof value !== 'object' || value === null || Object.keys(value).some(k => ![ 'include', 'exclude' ].includes(k)) ||
+                        !isList(value.include) || !isList(value.exclude)) {
+                        problems.push(`${entry}: ${option} must be true, or an object with include and/or exclude lists`);
+                    }
+                });
+
+                if (fileDetails.hasOwnProperty('userPoolId') && !fileDetails.hasOwnProperty('appClient')) {
+                    problems.push(`${entry}: userPoolId requires the appClient option`);
+                }
+
+                Object.keys(RESOURCE_OPTIONS).filter(option => fileDetails.hasOwnProperty(option)).forEach((option) => {
+                    const value = fileDetails[option];
+                    const expected = RESOURCE_OPTIONS[option];
+                    if (typeof value !== 'string') {
+                        problems.push(`${entry}: ${option} must be the logical ID of an ${expected.type}`);
+                    } else if (typeof templateResources !== 'undefined' && !(expected.canDisable && value === 'disabled')) {
+                        if (!templateResources.hasOwnProperty(value)) {
+                            if (option === 'appClient' && USER_POOL_CLIENT_ID_PATTERN.test(value)) {
+                                return;     // A client outside the stack, by ID
+                            }
+                            (hasNestedStacks ? warnings : problems).push(`${entry}: ${option} '${value}' is not a resource in the stack`);
+                        } else if (templateResources[value].Type !== expected.type) {
+                            problems.push(`${entry}: ${option} '${value}' is an ${templateResources[value].Type}, not an ${expected.type}`);
+                        }
+                    }
+                });
+            });
+        }
+
+        warnings.forEach(warning => this.log('warn', warning));
+        if (problems.length > 0) {
+            throw new Error(`Invalid custom.amplify configuration:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+        }
+    }
+
+    /**
+     * Loads the modules listed in the custom.amplify extension entries.  Each module
+     * exports a function that is called with this plugin, so it can register
+     * resource describers and configuration types.  Paths starting with '.' are
+     * relative to the service directory - anything else is loaded as a package.
+     */
+    loadExtensions() {
+        if (!Array.isArray(this.config)) {
+            return;
+        }
+        this.config.filter(f => this.isExtensionEntry(f) && typeof f.module === 'string').forEach((extension) => {
+            const modulePath = extension.module.startsWith('.')
+                ? path.resolve(this.serverless.config.servicePath || '', extension.module)
+                : extension.module;
+            this.log('debug', `Loading extension ${modulePath}`);
+            let register;
+            try {
+                register = require(modulePath);
+            } catch (error) {
+                throw new Error(`Cannot load custom.amplify extension ${extension.module}: ${error.message.split('\n')[0]}`);
+            }
+            if (typeof register !== 'function') {
+                throw new Error(`custom.amplify extension ${extension.module} must export a function`);
+            }
+            register(this, extension);
+        });
+    }
+
+    /**
+     * Registers a describer for a CloudFormation resource type.  The describer is
+     * called with the resource (LogicalResourceId, PhysicalResourceId, ResourceType,
+     * StackName and Region), the list of all resources and this plugin, and returns
+     * (or resolves to) the resource with any added details, or undefined to skip
+     * it.  A describer for a type the plugin already supports replaces the
+     * built-in describer.  When generating offline, the resource is used as is.
+     *
+     * @param {String} resourceType the CloudFormation resource type, e.g. AWS::SQS::Queue
+     * @param {Function} describer the describer
+     */
+    addResourceDescriber(resourceType, describer) {
+        if (typeof describer !== 'function') {
+            throw new Error(`The describer for ${resourceType} must be a function`);
+        }
+        if (this.resourceDescribers.hasOwnProperty(resourceType)) {
+            throw new Error(`A describer for ${resourceType} is already registered`);
+        }
+        this.resourceDescribers[resourceType] = describer;
+    }
+
+    /**
+     * Registers a configuration type for custom.amplify entries.  The generator is
+     * called with the described resources, the file details and this plugin, and
+     * returns (or resolves to) the contents of the file.  The file is then written
+     * in the same way as the built-in types.  With the omit secrets policy, the
+     * secrets are removed from the resources first.
+     *
+     * @param {String} type the value of the type option
+     * @param {Function} generator the generator
+     */
+    addConfigurationType(type, generator) {
+        if (typeof generator !== 'function') {
+            throw new Error(`The generator for the ${type} type must be a function`);
+        }
+        const key = type.toLowerCase();
+        if (CONFIGURATION_TYPES.includes(key) || SOURCE_TYPES.includes(key) || key === EXTENSION_TYPE ||
+            this.configurationTypes.hasOwnProperty(key)) {
+            throw new Error(`The ${type} type is already registered`);
+        }
+        this.configurationTypes[key] = generator;
+    }
+
+    /**
+     * Process the initialize hook to check the types of the custom.amplify entries,
+     * once every plugin is loaded and has registered its configuration types.
+     */
+    validateTypes() {
+        this.validateConfiguration();
+    }
+
+    /**
+     * Process the before:deploy:deploy hook to validate the logical IDs within the
+     * custom.amplify configuration against the compiled CloudFormation template.
+     */
+    validateResources() {
+        this.validateConfiguration(this.serverless.service.provider.compiledCloudFormationTemplate.Resources);
+    }
+
+    /**
+     * Log a message to the console.
+     */
+    log(level, message) {
+        if (level == 'error') {
+            console.log(chalk.red(`ERROR: amplify-plugin: ${message}`));
+        } else if (level == 'warn') {
+            console.log(chalk.yellow(`WARNING: amplify-plugin: ${message}`));
+        } else if (level == 'notice') {
+            console.log(chalk.green('amplify-plugin: ') + message);
+        } else if (level == 'info') {
+            if (this.options.v) console.log(chalk.green('amplify-plugin: ') + message);
+        } else {
+            if (process.env.SLS_DEBUG) console.log(chalk.blue('amplify-plugin: ') + message);
+        }
+    }
+
+    /**
+     * Calls the AWS Control Plane API to retrieve information
+     *
+     * @param {String} apiName
+     * @param {String} operation
+     * @param {Object} parameters
+     * @param {String} region the region to call - defaults to the service region
+     */
+    async fetch(apiName, operation, parameters, region) {
+        this.log('debug', `fetch(${apiName}, ${operation}, ${JSON.stringify(parameters)}${region ? `, ${region}` : ''})`);
+        if (region && region !== this.provider.getRegion()) {
+            return this.provider.request(apiName, operation, parameters, { region: region });
+        }
+        return this.provider.request(apiName, operation, parameters);
+    }
+
+    /**
+     * Returns the region a resource was found in.
+     *
+     * @param {Resource} resource the resource
+     * @returns {String} the region of the resource
+     */
+    getResourceRegion(resource) {
+        return resource.Region || this.provider.getRegion();
+    }
+
+    /**
+     * Process the after:deploy:deploy hook to generate the files.  Because the
+     * process() has to be synchronous, yet many of the methods are async, we
+     * transition to a Promise based structure.  However, most of the methods
+     * use async/await to properly process things linearly.
+     */
+    process() {
+        this.log('info', `Processing stack: ${this.stackName()}`);
+        const resources = this.loadResources()
+            .then(resources => this.writeConfigurationFiles(resources))
+            .catch((error) => {
+                this.log('error', `Cannot generate configuration files: ${error.message}`);
+                throw error;
+            });
+        return resources;
+    }
+
+    /**
+     * Process the amplify:generate:generate hook.  This runs the same pipeline
+     * as the after:deploy:deploy hook against the already deployed stack, so the
+     * files can be refreshed without a deployment.
+     */
+    generate() {
+        this.validateConfiguration();
+        if (this.getConfigurationEntries().length === 0) {
+            const message = this.options.filename
+                ? `No custom.amplify entry found for filename ${this.options.filename}`
+                : 'No custom.amplify entries found';
+            this.log('error', message);
+            throw new Error(message);
+        }
+        return this.options.offline ? this.processOffline() : this.process();
+    }
+
+    /**
+     * Generates the files without calling AWS.  The service is packaged to compile
+     * the CloudFormation template, then the resources are built from the template
+     * and the stack outputs file given by the --offline option.
+     */
+    processOffline() {
+        if (typeof this.options.offline !== 'string') {
+            const message = 'The --offline option requires the path to a stack outputs file';
+            this.log('error', message);
+            throw new Error(message);
+        }
+        if (this.getSourceEntries().length > 0) {
+            this.log('warn', 'Resources from other stacks and exports are not available offline');
+        }
+
+        this.log('info', `Processing template with stack outputs from ${this.options.offline}`);
+        const outputs = this.readStackOutputs(this.options.offline);
+        return this.serverless.pluginManager.spawn('package')
+            .then(() => this.describeTemplateResources(outputs))
+            .then(resources => this.writeConfigurationFiles(resources))
+            .catch((error) => {
+                this.log('error', `Cannot generate configuration files: ${error.message}`);
+                throw error;
+            });
+    }
+
+    /**
+     * Returns the list of custom.amplify entries to process, with the {stage},
+     * {region} and {service} placeholders in the filename and secretsFile options
+     * replaced.  If the --filename option was specified, only the matching entry
+     * is returned.
+     *
+     * @returns {FileDetails[]} the list of file details
+     */
+    getConfigurationEntries() {
+        const entries = this.config.filter(f => !this.isSourceEntry(f) && !this.isExtensionEntry(f)).map((f) => {
+            let entry = Object.assign({}, f);
+            [ 'filename', 'secretsFile' ].filter(option => typeof entry[option] === 'string').forEach((option) => {
+                entry[option] = this.interpolateFilename(entry[option]);
+            });
+            return entry;
+        });
+        if (!this.options.filename) {
+            return entries;
+        }
+        const target = path.resolve(this.options.filename);
+        return entries.filter(f => f.hasOwnProperty('filename') && path.resolve(f.filename) === target);
+    }
+
+    /**
+     * Replaces the {stage}, {region} and {service} placeholders in a filename.
+     *
+     * @param {String} filename the filename from custom.amplify
+     * @returns {String} the filename for this deployment
+     */
+    interpolateFilename(filename) {
+        const values = {
+            stage: this.stage,
+            region: this.provider.getRegion(),
+            service: this.serverless.service.service
+        };
+        return filename.replace(/\{(stage|region|service)\}/g, (match, name) => values[name]);
+    }
+
+    /**
+     * Returns the list of custom.amplify entries that are additional sources of
+     * resources (other stacks or CloudFormation exports), rather than files.
+     *
+     * @returns {SourceDetails[]} the list of source details
+     */
+    getSourceEntries() {
+        return this.config.filter(f => this.isSourceEntry(f));
+    }
+
+    /**
+     * Determines if a custom.amplify entry is a source of resources.
+     *
+     * @param {Object} entry the custom.amplify entry
+     * @returns {Boolean} true if the entry is a source entry
+     */
+    isSourceEntry(entry) {
+        return typeof entry === 'object' && entry !== null && typeof entry.type === 'string' &&
+            SOURCE_TYPES.includes(entry.type.toLowerCase());
+    }
+
+    /**
+     * Determines if a custom.amplify entry loads an extension module.
+     *
+     * @param {Object} entry the custom.amplify entry
+     * @returns {Boolean} true if the entry is an extension entry
+     */
+    isExtensionEntry(entry) {
+        return typeof entry === 'object' && entry !== null && typeof entry.type === 'string' &&
+            entry.type.toLowerCase() === EXTENSION_TYPE;
+    }
+
+    /**
+     * Obtains the resources for the service stack, plus any additional source
+     * stacks and exports listed in the custom.amplify section.  Resources from the
+     * service stack come first, so they take precedence when logical IDs clash.
+     *
+     * @returns {Resource[]} list of resource objects
+     */
+    async listSourceResources() {
+        let resources = await this.listStackResources(this.stackName());
+        for (let source of this.getSourceEntries()) {
+            switch (source.type.toLowerCase()) {
+                case 'stack':
+                    this.log('info', `Processing source stack: ${source.stackName}`);
+                    resources.push(...await this.listStackResources(source.stackName, source.region));
+                    break;
+                case 'import':
+                    this.log('info', `Processing export: ${source.exportName}`);
+                    resources.push(await this.getExportResource(source));
+                    break;
+            }
+        }
+        resources.push(...this.getExternalAppClients(resources));
+        return resources;
+    }
+
+    /**
+     * Returns a resource for each appClient option that is the ID of a user pool app
+     * client outside the stack.  The user pool is given by the userPoolId option, or
+     * found when the client is described.
+     *
+     * @param {Resource[]} resources the resources in the stack and other sources
+     * @returns {Resource[]} list of user pool app client resources
+     */
+    getExternalAppClients(resources) {
+        let clients = [];
+        this.getConfigurationEntries().filter(f => typeof f.appClient === 'string' && USER_POOL_CLIENT_ID_PATTERN.test(f.appClient)).forEach((fileDetails) => {
+            const known = [ ...resources, ...clients ].some(r => r.ResourceType === 'AWS::Cognito::UserPoolClient' && r.LogicalResourceId === fileDetails.appClient);
+            if (!known) {
+                this.log('info', `Processing app client: ${fileDetails.appClient}`);
+                clients.push(Object.assign({
+                    LogicalResourceId: fileDetails.appClient,
+                    PhysicalResourceId: fileDetails.appClient,
+                    ResourceType: 'AWS::Cognito::UserPoolClient',
+                    Region: fileDetails.userPoolId ? fileDetails.userPoolId.split('_')[0] : this.provider.getRegion()
+                }, fileDetails.userPoolId ? { UserPoolId: fileDetails.userPoolId } : {}));
+            }
+        });
+        return clients;
+    }
+
+    /**
+     * Obtains the resources for a specific CloudFormation stack.  Each resource
+     * is tagged with the stack name and region it was found in.
+     *
+     * @param {String} stackName the name of the CloudFormation stack
+     * @param {String} region the region of the stack - defaults to the service region
+     * @returns {Resource[]} list of resource objects
+     */
+    async listStackResources(stackName, region) {
+        const stackRegion = region || this.provider.getRegion();
+        let resources = [];
+        let request = { StackName: stackName };
+        let morePages = false;
+
+        do {
+            let result = await this.fetch('CloudFormation', 'listStackResources', request, stackRegion);
+            result.StackResourceSummaries.forEach(item => { resources.push(Object.assign({}, item, { StackName: stackName, Region: stackRegion })); });
+            request.NextToken = result.NextToken;
+            morePages = result.NextToken ? true : false;
+        } while (morePages);
+        
+        for (let resource of resources) {
+            if (resource.ResourceType === 'AWS::CloudFormation::Stack') {
+                const nestedStackName = resource.PhysicalResourceId.split('/')[1];
+                this.log('info', `Processing nested stack: ${nestedStackName}`);
+                const nestedResources = await this.listStackResources(nestedStackName, stackRegion);
+                resources.push(...nestedResources);
+            }
+        }
+
+        return resources;
+    }
+
+    /**
+     * Converts a CloudFormation export into a resource.  The value of the export
+     * must be the physical resource ID (the value of Ref) of the resource.
+     *
+     * @param {SourceDetails} source the import entry from custom.amplify
+     * @returns {Resource} the resource object
+     */
+    async getExportResource(source) {
+        const region = source.region || this.provider.getRegion();
+        let request = {};
+        let morePages = false;
+
+        do {
+            let result = await this.fetch('CloudFormation', 'listExports', request, region);
+            const cfExport = result.Exports.find(e => e.Name === source.exportName);
+            if (typeof cfExport !== 'undefined') {
+                return {
+                    LogicalResourceId: source.logicalId || source.exportName,
+                    PhysicalResourceId: cfExport.Value,
+                    ResourceType: source.resourceType,
+                    StackName: cfExport.ExportingStackId.split('/')[1],
+                    Region: region
+                };
+            }
+            request.NextToken = result.NextToken;
+            morePages = result.NextToken ? true : false;
+        } while (morePages);
+
+        throw new Error(`CloudFormation export ${source.exportName} not found in ${region}`);
+    }
+
+    /**
+     * Obtains the API keys for an AWS AppSync GraphQL API
+     *
+     * @param {String} apiId the ID of the GraphQL API
+     * @param {String} region the region of the GraphQL API
+     * @returns {ApiKey[]} list of API key objects
+     */
+    async listApiKeys(apiId, region) {
+        let apiKeys = [];
+        let request = { apiId: apiId };
+        let morePages = false;
+
+        do {
+            let result = await this.fetch('AppSync', 'listApiKeys', request, region);
+            result.apiKeys.forEach(item => { apiKeys.push(item); });
+            request.nextToken = result.nextToken;
+            morePages = result.nextToken ? true : false;
+        } while (morePages);
+
+        return apiKeys;
+    }
+
+    /**
+     * Gets the specifics of the actual physical resource ID based on the Resource Type.
+     * The describe calls are run in parallel, up to DESCRIBE_CONCURRENCY at a time.
+     *
+     * @param {Resource[]} resources the list of resources to describe
+     * @returns {Resource[]} the resource with added descriptions.
+     */
+    async describeStackResources(resources) {
+        const describe = resource => this.describeStackResource(resource, resources);
+        const detailedResources = await mapWithConcurrency(resources.filter(r => r.ResourceType !== 'AWS::Cognito::UserPoolClient'), DESCRIBE_CONCURRENCY, describe);
+
+        // Process User pool clients AFTER the user pool
+        const detailedClients = await mapWithConcurrency(resources.filter(r => r.ResourceType === 'AWS::Cognito::UserPoolClient'), DESCRIBE_CONCURRENCY, describe);
+
+        return [ ...detailedResources, ...detailedClients ].filter(r => typeof r !== 'undefined');
+    }
+
+    /**
+     * Gets the specifics of a single resource based on the Resource Type
+     *
+     * @param {Resource} resource the resource to describe
+     * @param {Resource[]} resources the list of all resources being described
+     * @returns {Resource} the resource with added description, or undefined if it is skipped
+     */
+    async describeStackResource(resource, resources) {
+        if (this.resourceDescribers.hasOwnProperty(resource.ResourceType)) {
+            this.log('debug', `Processing ${JSON.stringify(resource)} with a registered describer`);
+            return this.resourceDescribers[resource.ResourceType](resource, resources, this);
+        }
+        switch (resource.ResourceType) {
+            case 'AWS::AppSync::GraphQLApi':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                const appSyncId = resource.PhysicalResourceId.split('/')[1];
+                let appSyncMetaData = await this.fetch('AppSync', 'getGraphqlApi', { apiId: appSyncId }, resource.Region);
+                let appSyncSchema = await this.fetch('AppSync', 'getIntrospectionSchema', { apiId: appSyncId, format: 'JSON' }, resource.Region);
+                let appSyncApiKeys = this.getAppSyncAuthenticationTypes({ metadata: appSyncMetaData }).includes('API_KEY')
+                    ? await this.listApiKeys(appSyncId, resource.Region)
+                    : [];
+                return Object.assign({}, resource, { metadata: appSyncMetaData, schema:  JSON.parse(appSyncSchema.schema.toString()), apiKeys: appSyncApiKeys });
+            case 'AWS::AppSync::ApiKey':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                return resource;    // The API ID and key are both in the ARN
+            case 'AWS::Cognito::IdentityPool':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                let idpMetadata = await this.fetch('CognitoIdentity', 'describeIdentityPool', { IdentityPoolId: resource.PhysicalResourceId }, resource.Region);
+                return Object.assign({}, resource, { metadata: idpMetadata });
+            case 'AWS::Cognito::UserPool':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                const userPoolMetaData = await this.fetch('CognitoIdentityServiceProvider', 'describeUserPool', { UserPoolId: resource.PhysicalResourceId }, resource.Region);
+                return Object.assign({}, resource, { metadata: userPoolMetaData });
+            case 'AWS::Cognito::UserPoolDomain':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                const userPoolDomainMetaData = await this.fetch('CognitoIdentityServiceProvider', 'describeUserPoolDomain', { Domain: resource.PhysicalResourceId }, resource.Region);
+                return Object.assign({}, resource, { metadata: userPoolDomainMetaData });
+            case 'AWS::Cognito::UserPoolClient':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                const userPoolId = resource.UserPoolId || await this.getTemplateUserPoolId(resource, resources);
+                const clientMetaData = typeof userPoolId !== 'undefined'
+                    ? await this.fetch('CognitoIdentityServiceProvider', 'describeUserPoolClient', { ClientId: resource.PhysicalResourceId, UserPoolId: userPoolId }, resource.Region)
+                    : await this.findUserPoolClient(resource, resources);
+                if (typeof clientMetaData === 'undefined') {
+                    this.log('warn', `Cannot find the user pool for ${resource.LogicalResourceId} - skipping`);
+                    return undefined;
+                }
+                return Object.assign({}, resource, { metadata: clientMetaData });
+            case 'AWS::S3::Bucket':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                if (resource.LogicalResourceId === 'ServerlessDeploymentBucket') {
+                    return resource;    // Never written to the configuration files
+                }
+                // Buckets in us-east-1 have no location constraint, and EU is the legacy name for eu-west-1
+                const bucketLocation = await this.fetch('S3', 'getBucketLocation', { Bucket: resource.PhysicalResourceId }, resource.Region);
+                const bucketRegion = bucketLocation.LocationConstraint === 'EU' ? 'eu-west-1' : (bucketLocation.LocationConstraint || 'us-east-1');
+                return Object.assign({}, resource, { Region: bucketRegion });
+            case 'AWS::CloudFront::Distribution':
+                if (!this.isSectionRequested('cloudfront')) {
+                    this.log('debug', `Skipping ${JSON.stringify(resource)}`);
+                    return undefined;
+                }
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                const distribution = await this.fetch('CloudFront', 'getDistribution', { Id: resource.PhysicalResourceId }, resource.Region);
+                return Object.assign({}, resource, { metadata: distribution });
+            case 'AWS::Pinpoint::App':
+            case 'AWS::Kinesis::Stream':
+            case 'AWS::KinesisFirehose::DeliveryStream':
+            case 'AWS::DynamoDB::Table':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                return resource;    // The app ID, stream name or table name is the physical ID
+            case 'AWS::Lambda::Function':
+                if (!this.isSectionRequested('functions')) {
+                    this.log('debug', `Skipping ${JSON.stringify(resource)}`);
+                    return undefined;
+                }
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                const functionMetaData = await this.fetch('Lambda', 'getFunctionConfiguration', { FunctionName: resource.PhysicalResourceId }, resource.Region);
+                return Object.assign({}, resource, { metadata: { FunctionName: functionMetaData.FunctionName, FunctionArn: functionMetaData.FunctionArn } });
+            case 'AWS::ApiGateway::RestApi':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                const restApiStages = await this.fetch('APIGateway', 'getStages', { restApiId: resource.PhysicalResourceId }, resource.Region);
+                return Object.assign({}, resource, { metadata: { stages: restApiStages.item.map(s => s.stageName) } });
+            case 'AWS::ApiGatewayV2::Api':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                const apiMetaData = await this.fetch('ApiGatewayV2', 'getApi', { ApiId: resource.PhysicalResourceId }, resource.Region);
+                const apiStages = await this.fetch('ApiGatewayV2', 'getStages', { ApiId: resource.PhysicalResourceId }, resource.Region);
+                return Object.assign({}, resource, { metadata: { api: apiMetaData, stages: apiStages.Items.map(s => s.StageName) } });
+            case 'AWS::ApiGateway::DomainName':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                const basePathMappings = await this.fetch('APIGateway', 'getBasePathMappings', { domainName: resource.PhysicalResourceId }, resource.Region);
+                return Object.assign({}, resource, {
+                    metadata: {
+                        mappings: (basePathMappings.items || []).map(m => ({ apiId: m.restApiId, stage: m.stage, basePath: m.basePath === '(none)' ? '' : m.basePath }))
+                    }
+                });
+            case 'AWS::ApiGatewayV2::DomainName':
+                this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                const apiMappings = await this.fetch('ApiGatewayV2', 'getApiMappings', { DomainName: resource.PhysicalResourceId }, resource.Region);
+                return Object.assign({}, resource, {
+                    metadata: {
+                        mappings: (apiMappings.Items || []).map(m => ({ apiId: m.ApiId, stage: m.Stage, basePath: m.ApiMappingKey || '' }))
+                    }
+                });
+            default:
+                this.log('debug', `Skipping ${JSON.stringify(resource)}`);
+                return undefined;
+        }
+    }
+
+    /**
+     * Obtains the ID of the user pool of an app client from the UserPoolId property
+     * in the compiled CloudFormation template.  The property can be a literal ID, a
+     * Ref or Fn::GetAtt to a user pool in the stack, or an Fn::ImportValue of a
+     * CloudFormation export.
+     *
+     * @param {Resource} resource the user pool app client resource
+     * @param {Resource[]} resources the list of all resources being described
+     * @returns {String} the user pool ID, or undefined if the client is not in the
+     *  template or the property cannot be resolved
+     */
+    async getTemplateUserPoolId(resource, resources) {
+        // amplify generate does not package the service, so there may be no compiled template
+        const templateResources = (this.serverless.service.provider.compiledCloudFormationTemplate || {}).Resources || {};
+        const cfTemplate = templateResources[resource.LogicalResourceId];
+        if (resource.StackName !== this.stackName() || typeof cfTemplate === 'undefined') {
+            return undefined;   // Clients in nested and other stacks are not in the template
+        }
+
+        const property = (cfTemplate.Properties || {}).UserPoolId;
+        if (typeof property === 'string') {
+            return property;
+        }
+        if (property && (typeof property.Ref === 'string' || Array.isArray(property['Fn::GetAtt']))) {
+            // Every attribute of a user pool (Arn, ProviderName, ProviderURL, UserPoolId) identifies the same pool
+            const userPoolName = typeof property.Ref === 'string' ? property.Ref : property['Fn::GetAtt'][0];
+            const userPoolResource = resources.find(r => r.ResourceType === 'AWS::Cognito::UserPool' && r.LogicalResourceId === userPoolName);
+            return userPoolResource ? userPoolResource.PhysicalResourceId : undefined;
+        }
+        if (property && typeof property['Fn::ImportValue'] === 'string') {
+            const userPoolExport = await this.getExportResource({
+                exportName: property['Fn::ImportValue'],
+                resourceType: 'AWS::Cognito::UserPool',
+                region: resource.Region
+            });
+            // The export may be the ID, the ARN or the provider name of the user pool
+            return userPoolExport.PhysicalResourceId.split('/').pop();
+        }
+        return undefined;
+    }
+
+    /**
+     * Finds the user pool of an app client that cannot be resolved from the template,
+     * by describing the client in each candidate user pool until it is found.  The
+     * user pools in the same stack are tried first, then the other user pools being
+     * described, then every user pool in the region.
+     *
+     * @param {Resource} resource the user pool app client resource
+     * @param {Resource[]} resources the list of all resources being described
+     * @returns {Object} the result of describeUserPoolClient, or undefined if the
+     *  client is not in any user pool
+     */
+    async findUserPoolClient(resource, resources) {
+        const region = this.getResourceRegion(resource);
+        const userPools = resources.filter(r => r.ResourceType === 'AWS::Cognito::UserPool' && this.getResourceRegion(r) === region);
+        let candidates = [
+            ...userPools.filter(r => r.StackName === resource.StackName),
+            ...userPools.filter(r => r.StackName !== resource.StackName)
+        ].map(r => r.PhysicalResourceId);
+
+        const describeClient = async (userPoolId) => {
+            try {
+                return await this.fetch('CognitoIdentityServiceProvider', 'describeUserPoolClient', { ClientId: resource.PhysicalResourceId, UserPoolId: userPoolId }, resource.Region);
+            } catch (error) {
+                this.log('debug', `${resource.LogicalResourceId} is not in ${userPoolId}: ${error.message}`);
+                return undefined;
+            }
+        };
+
+        for (let userPoolId of candidates) {
+            const result = await describeClient(userPoolId);
+            if (typeof result !== 'undefined') {
+                return result;
+            }
+        }
+
+        this.log('info', `Searching the user pools in ${region} for ${resource.LogicalResourceId}`);
+        let request = { MaxResults: 60 };
+        let morePages = false;
+        do {
+            let result = await this.fetch('CognitoIdentityServiceProvider', 'listUserPools', request, resource.Region);
+            for (let userPool of result.UserPools.filter(p => !candidates.includes(p.Id))) {
+                candidates.push(userPool.Id);
+                const client = await describeClient(userPool.Id);
+                if (typeof client !== 'undefined') {
+                    return client;
+                }
+            }
+            request.NextToken = result.NextToken;
+            morePages = result.NextToken ? true : false;
+        } while (morePages);
+
+        return undefined;
+    }
+
+    /**
+     * Obtains the described resources, either from the cache or from AWS.  The
+     * cache is used if the stacks have not been updated since it was written,
+     * unless the --refresh option is specified.  The cache is not written for a
+     * dry run, or when no resources were found - and a cache that cannot be
+     * written is only a warning.
+     *
+     * @returns {Resource[]} the resources with meta-data
+     */
+    async loadResources() {
+        const cacheFile = this.getCacheFile();
+        const stackVersions = await this.getStackVersions();
+
+        if (!this.options.refresh && fs.existsSync(cacheFile)) {
+            const cache = this.readResourceCache(cacheFile);
+            if (typeof cache !== 'undefined' && cache.stage === this.stage && JSON.stringify(cache.stackVersions) === JSON.stringify(stackVersions)) {
+                this.log('info', `Using cached resources from ${cacheFile}`);
+                return cache.resources;
+            }
+        }
+
+        const resources = await this.describeStackResources(await this.listSourceResources());
+        if (this.options['dry-run'] || resources.length === 0) {
+            return resources;
+        }
+        try {
+            ensureDirectory(path.dirname(cacheFile));
+            // The cache holds app client secrets and API keys, so only the owner can read it
+            fs.writeFileSync(cacheFile, JSON.stringify({ stackName: this.stackName(), stage: this.stage, stackVersions, resources }, null, 2), { mode: 0o600 });
+            fs.chmodSync(cacheFile, 0o600);
+        } catch (error) {
+            this.log('warn', `Cannot write cached resources to ${cacheFile}: ${error.message}`);
+        }
+        return resources;
+    }
+
+    /**
+     * Reads the cache of described resources.  A cache that cannot be read is
+     * treated as a cache miss, so the resources are described again.
+     *
+     * @param {String} cacheFile path to the cache file
+     * @returns {Object} the cache, or undefined if it cannot be read
+     */
+    readResourceCache(cacheFile) {
+        try {
+            const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+            return Array.isArray(cache.resources) ? cache : undefined;
+        } catch (error) {
+            this.log('warn', `Cannot read cached resources from ${cacheFile} - describing the resources again: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Returns the location of the cache of described resources for this stack,
+     * region and stage.
+     *
+     * @returns {String} path to the cache file
+     */
+    getCacheFile() {
+        return path.join('.serverless', `amplify-resources-${this.stackName()}-${this.provider.getRegion()}-${this.stage}.json`);
+    }
+
+    /**
+     * Obtains the last updated time of the service stack and every source stack,
+     * the value of every source export and the resource types with a registered
+     * describer.  If any of these change, the cached resources are out of date.
+     *
+     * @returns {Object[]} list of stack versions
+     */
+    async getStackVersions() {
+        let versions = [];
+        const stacks = [ { stackName: this.stackName() } ].concat(this.getSourceEntries().filter(f => f.type.toLowerCase() === 'stack'));
+        for (let stack of stacks) {
+            const result = await this.fetch('CloudFormation', 'describeStacks', { StackName: stack.stackName }, stack.region);
+            const lastUpdated = result.Stacks[0].LastUpdatedTime || result.Stacks[0].CreationTime;
+            versions.push({ stackName: stack.stackName, lastUpdated: new Date(lastUpdated).toISOString() });
+        }
+        for (let source of this.getSourceEntries().filter(f => f.type.toLowerCase() === 'import')) {
+            const resource = await this.getExportResource(source);
+            versions.push({ exportName: source.exportName, value: resource.PhysicalResourceId });
+        }
+        this.getExternalAppClients([]).forEach((client) => {
+            versions.push({ appClient: client.PhysicalResourceId, userPoolId: client.UserPoolId });
+        });
+        // Functions and CloudFront distributions are only described when requested
+        [ 'functions', 'cloudfront' ].filter(option => this.isSectionRequested(option)).forEach((option) => {
+            versions.push({ section: option });
+        });
+        if (Object.keys(this.resourceDescribers).length > 0) {
+            versions.push({ describers: Object.keys(this.resourceDescribers).sort() });
+        }
+        return versions;
+    }
+
+    /**
+     * Reads a saved set of stack outputs.  The file can be a map of output key to
+     * value, the output of 'aws cloudformation describe-stacks', or a list of
+     * { OutputKey, OutputValue } objects.
+     *
+     * @param {String} filename the name of the stack outputs file
+     * @returns {Object} map of output key to output value
+     */
+    readStackOutputs(filename) {
+        const contents = JSON.parse(fs.readFileSync(filename, 'utf8'));
+        const list = contents.hasOwnProperty('Stacks') ? contents.Stacks[0].Outputs : contents;
+        if (!Array.isArray(list)) {
+            return contents;
+        }
+        let outputs = {};
+        list.forEach((o) => { outputs[o.OutputKey] = o.OutputValue; });
+        return outputs;
+    }
+
+    /**
+     * Builds the list of resources (with meta-data) from the compiled CloudFormation
+     * template and a saved set of stack outputs, instead of calling AWS.  The physical
+     * ID of each resource comes from a template output that refers to it with Ref (or
+     * Fn::GetAtt for attributes).  Resources without an output are skipped.  The
+     * meta-data is built from the resource properties, in the same shape as the
+     * describe calls in describeStackResources() return.
+     *
+     * @param {Object} outputs map of output key to output value
+     * @returns {Resource[]} the resources with meta-data
+     */
+    describeTemplateResources(outputs) {
+        const template = this.serverless.service.provider.compiledCloudFormationTemplate;
+        const region = this.provider.getRegion();
+
+        let physicalIds = {};
+        let attributes = {};
+        Object.keys(template.Outputs || {}).filter(key => outputs.hasOwnProperty(key)).forEach((key) => {
+            const value = template.Outputs[key].Value || {};
+            if (typeof value.Ref === 'string') {
+                physicalIds[value.Ref] = outputs[key];
+            } else if (Array.isArray(value['Fn::GetAtt'])) {
+                const [ logicalId, attribute ] = value['Fn::GetAtt'];
+                attributes[logicalId] = Object.assign({}, attributes[logicalId], { [attribute]: outputs[key] });
+            }
+        });
+
+        // Resolve a property value that is a literal, or a Ref/Fn::GetAtt to a known resource
+        const resolve = (value) => {
+            if (typeof value === 'string') {
+                return value;
+            } else if (value && typeof value.Ref === 'string') {
+                return physicalIds[value.Ref];
+            } else if (value && Array.isArray(value['Fn::GetAtt'])) {
+                const [ logicalId, attribute ] = value['Fn::GetAtt'];
+                return (attributes[logicalId] || {})[attribute];
+            }
+            return undefined;
+        };
+
+        // The GraphQL API and API keys are referenced by ARN, which serverless-appsync-plugin
+        // does not output - so build a stand-in ARN from the logical ID where necessary
+        Object.keys(template.Resources).forEach((logicalId) => {
+            const cfResource = template.Resources[logicalId];
+            const attrs = attributes[logicalId] || {};
+            if (cfResource.Type === 'AWS::AppSync::GraphQLApi' && !physicalIds[logicalId] && attrs.GraphQLUrl) {
+                physicalIds[logicalId] = attrs.Arn || `arn:aws:appsync:${region}::apis/${attrs.ApiId || logicalId}`;
+            }
+            if (physicalIds[logicalId] && cfResource.Type === 'AWS::AppSync::GraphQLApi') {
+                attributes[logicalId] = Object.assign({ ApiId: physicalIds[logicalId].split('/')[1] }, attrs);
+            }
+        });
+        Object.keys(template.Resources).filter(k => template.Resources[k].Type === 'AWS::AppSync::ApiKey').forEach((logicalId) => {
+            const attrs = attributes[logicalId] || {};
+            const apiId = resolve(template.Resources[logicalId].Properties.ApiId);
+            const api = Object.keys(physicalIds).find(k => template.Resources[k] && template.Resources[k].Type === 'AWS::AppSync::GraphQLApi' && attributes[k].ApiId === apiId);
+            if (!physicalIds[logicalId] && attrs.ApiKey && typeof api !== 'undefined') {
+                physicalIds[logicalId] = `${physicalIds[api]}/apikeys/${attrs.ApiKey}`;
+            }
+        });
+
+        let detailedResources = [];
+        Object.keys(template.Resources).forEach((logicalId) => {
+            const cfResource = template.Resources[logicalId];
+            const properties = cfResource.Properties || {};
+            if (typeof physicalIds[logicalId] === 'undefined') {
+                this.log('debug', `Skipping ${logicalId} - no stack output refers to it`);
+                return;
+            }
+            const resource = {
+                LogicalResourceId: logicalId,
+                PhysicalResourceId: physicalIds[logicalId],
+                ResourceType: cfResource.Type,
+                StackName: this.stackName(),
+                Region: region
+            };
+
+            switch (cfResource.Type) {
+                case 'AWS::AppSync::GraphQLApi':
+                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                    detailedResources.push(Object.assign(resource, {
+                        metadata: {
+                            graphqlApi: {
+                                apiId: attributes[logicalId].ApiId,
+                                arn: resource.PhysicalResourceId,
+                                uris: { GRAPHQL: attributes[logicalId].GraphQLUrl },
+                                authenticationType: properties.AuthenticationType,
+                                additionalAuthenticationProviders: (properties.AdditionalAuthenticationProviders || []).map(p => ({ authenticationType: p.AuthenticationType }))
+                            }
+                        }
+                    }));
+                    break;
+                case 'AWS::Cognito::IdentityPool':
+                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                    detailedResources.push(Object.assign(resource, {
+                        metadata: {
+                            IdentityPoolId: resource.PhysicalResourceId,
+                            AllowUnauthenticatedIdentities: properties.AllowUnauthenticatedIdentities,
+                            SupportedLoginProviders: properties.SupportedLoginProviders,
+                            CognitoIdentityProviders: (properties.CognitoIdentityProviders || []).map(p => ({ ClientId: resolve(p.ClientId), ProviderName: resolve(p.ProviderName) })),
+                            OpenIdConnectProviderARNs: (properties.OpenIdConnectProviderARNs || []).map(resolve),
+                            SamlProviderARNs: (properties.SamlProviderARNs || []).map(resolve)
+                        }
+                    }));
+                    break;
+                case 'AWS::Cognito::UserPool':
+                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                    detailedResources.push(Object.assign(resource, { metadata: { UserPool: { Id: resource.PhysicalResourceId } } }));
+                    break;
+                case 'AWS::Cognito::UserPoolClient':
+                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                    detailedResources.push(Object.assign(resource, {
+                        metadata: {
+                            UserPoolClient: {
+                                ClientId: resource.PhysicalResourceId,
+                                UserPoolId: resolve(properties.UserPoolId),
+                                AllowedOAuthFlowsUserPoolClient: properties.AllowedOAuthFlowsUserPoolClient,
+                                AllowedOAuthFlows: properties.AllowedOAuthFlows,
+                                AllowedOAuthScopes: properties.AllowedOAuthScopes,
+                                CallbackURLs: properties.CallbackURLs,
+                                LogoutURLs: properties.LogoutURLs,
+                                SupportedIdentityProviders: properties.SupportedIdentityProviders
+                            }
+                        }
+                    }));
+                    break;
+                case 'AWS::Cognito::UserPoolDomain':
+                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                    detailedResources.push(Object.assign(resource, {
+                        metadata: {
+                            DomainDescription: {
+                                Domain: resolve(properties.Domain),
+                                UserPoolId: resolve(properties.UserPoolId),
+                                CustomDomainConfig: properties.CustomDomainConfig
+                            }
+                        }
+                    }));
+                    break;
+                case 'AWS::ApiGatewayV2::Api':
+                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                    detailedResources.push(Object.assign(resource, {
+                        metadata: {
+                            api: {
+                                ApiId: resource.PhysicalResourceId,
+                                ApiEndpoint: `${properties.ProtocolType === 'WEBSOCKET' ? 'wss' : 'https'}://${resource.PhysicalResourceId}.execute-api.${region}.amazonaws.com`,
+                                ProtocolType: properties.ProtocolType
+                            }
+                        }
+                    }));
+                    break;
+                case 'AWS::AppSync::ApiKey':
+                case 'AWS::S3::Bucket':
+                case 'AWS::Pinpoint::App':
+                case 'AWS::Kinesis::Stream':
+                case 'AWS::KinesisFirehose::DeliveryStream':
+                case 'AWS::DynamoDB::Table':
+                case 'AWS::ApiGateway::RestApi':
+                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                    detailedResources.push(resource);
+                    break;
+                case 'AWS::Lambda::Function':
+                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                    detailedResources.push(Object.assign(resource, {
+                        metadata: {
+                            FunctionName: resource.PhysicalResourceId,
+                            FunctionArn: (attributes[logicalId] || {}).Arn
+                        }
+                    }));
+                    break;
+                default:
+                    if (this.resourceDescribers.hasOwnProperty(cfResource.Type)) {
+                        this.log('debug', `Processing ${JSON.stringify(resource)}`);
+                        detailedResources.push(resource);
+                    } else {
+                        this.log('debug', `Skipping ${JSON.stringify(resource)}`);
+                    }
+                    break;
+            }
+        });
+
+        // App clients outside the stack can only be written when the user pool is given
+        this.getExternalAppClients(detailedResources).forEach((client) => {
+            if (typeof client.UserPoolId === 'undefined') {
+                this.log('warn', `The userPoolId option is required for app client ${client.PhysicalResourceId} offline - skipping`);
+            } else {
+                detailedResources.push(Object.assign(client, { metadata: { UserPoolClient: { ClientId: client.PhysicalResourceId, UserPoolId: client.UserPoolId } } }));
+            }
+        });
+
+        return detailedResources;
+    }
+
+    /**
+     * Creates a new temporary directory for the files a generator reads and writes.
+     * Each entry uses its own directory, so entries never overwrite each other's
+     * files.  The caller removes the directory when it is done.
+     *
+     * @returns {String} path to the temporary directory
+     */
+    getTemporaryDirectory() {
+        ensureDirectory('.serverless');
+        return fs.mkdtempSync(path.join('.serverless', 'amplify-'));
+    }
+
+    /**
+     * Writes the schema file to a temporary location.
+     *
+     * @param {Resource} resource the GraphQL API Resource
+     * @param {String} directory the temporary directory
+     * @returns {String} path to the temporary file
+     */
+    getTemporarySchemaFile(resource, directory) {
+        if (!resource.schema) {
+            throw new Error('The GraphQL schema is not available offline');
+        }
+        const filename = path.resolve(directory, 'schema.json');
+        fs.writeFileSync(filename, JSON.stringify(resource.schema, null, 2));
+        return filename;
+    }
+
+    /**
+     * Returns the GraphQL operations files for the code generator.  These are the
+     * files given by the documents option (with directories expanded to the
+     * .graphql files within them), or sample operations generated from the schema.
+     *
+     * @param {String} schemaFile the schema file
+     * @param {String} directory the temporary directory
+     * @param {FileDetails} fileDetails the file details
+     * @returns {String[]} paths to the operations files
+     */
+    getTemporaryOperationsFiles(schemaFile, directory, fileDetails) {
+        if (fileDetails.hasOwnProperty('documents')) {
+            let documents = [];
+            [].concat(fileDetails.documents).forEach((document) => {
+                if (!fs.existsSync(document)) {
+                    throw new Error(`GraphQL document ${document} does not exist`);
+                }
+                if (fs.statSync(document).isDirectory()) {
+                    fs.readdirSync(document).filter(f => path.extname(f) === '.graphql').sort().forEach(f => documents.push(path.resolve(document, f)));
+                } else {
+                    documents.push(path.resolve(document));
+                }
+            });
+            if (documents.length === 0) {
+                throw new Error(`No GraphQL documents found in ${[].concat(fileDetails.documents).join(', ')}`);
+            }
+            return documents;
+        }
+
+        const operationsFile = path.resolve(directory, 'operations.graphql');
+        graphqlGenerator(schemaFile, operationsFile, { language: 'graphql', maxDepth: fileDetails.maxDepth });
+        return [ operationsFile ];
+    }
+
+    /**
+     * Writes out the required configuration files.  Every file is attempted, even
+     * if an earlier file fails, and a summary is logged at the end.
+     *
+     * @param {Resource][]} resources the fully processed resources with all available data
+     */
+    async writeConfigurationFiles(resources) {
+        const entries = this.getConfigurationEntries();
+        let results = { written: [], unchanged: [], 'dry-run': [], failed: [] };
+        for (let i = 0 ; i < entries.length ; i++) {
+            const fileDetails = entries[i];
+            try {
+                this.secretsFileResults = [];
+                const result = await this.writeConfigurationEntry(resources, fileDetails);
+                results[result].push(fileDetails.filename);
+                // Secrets files are written alongside the entry, so they are listed after it
+                this.secretsFileResults.forEach(r => results[r.result].push(r.filename));
+            } catch (error) {
+                this.log('error', `Cannot write ${fileDetails.filename || JSON.stringify(fileDetails)}: ${error.message}`);
+                results.failed.push(fileDetails.filename || JSON.stringify(fileDetails));
+            }
+        }
+
+        if (results.written.length > 0) {
+            this.log('notice', `Wrote ${results.written.length} file(s): ${results.written.join(', ')}`);
+        }
+        if (results.unchanged.length > 0) {
+            this.log('notice', `Unchanged ${results.unchanged.length} file(s): ${results.unchanged.join(', ')}`);
+        }
+        if (results.failed.length > 0) {
+            throw new Error(`Failed to write ${results.failed.length} file(s): ${results.failed.join(', ')}`);
+        }
+    }
+
+    /**
+     * Writes out a single configuration file.
+     *
+     * @param {Resource][]} resources the fully processed resources with all available data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Promise<String>} resolves to 'written', 'unchanged' or 'dry-run'
+     */
+    async writeConfigurationEntry(resources, fileDetails) {
+        if (fileDetails.mergeStages === true) {
+            return this.writeMergedStagesConfiguration(resources, fileDetails);
+        }
+        if (fileDetails.hasOwnProperty('type') && fileDetails.hasOwnProperty('filename')) {
+            switch (fileDetails.type.toLowerCase()) {
+                case 'native':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                    return this.writeNativeConfiguration(resources, fileDetails);
+                case 'javascript':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                    return this.writeJavaScriptConfiguration(resources, fileDetails);
+                case 'typescript':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                    return this.writeTypeScriptConfiguration(resources, fileDetails);
+                case 'commonjs':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                    return this.writeCommonJSConfiguration(resources, fileDetails);
+                case 'dotenv':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                    return this.writeDotEnvConfiguration(resources, fileDetails);
+                case 'template':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename} from ${fileDetails.template}`);
+                    return this.writeTemplateConfiguration(resources, fileDetails);
+                case 'amplifyconfiguration.json':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                    return this.writeAmplifyConfiguration(resources, fileDetails);
+                case 'amplify_outputs.json':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                    return this.writeAmplifyOutputs(resources, fileDetails);
+                case 'schema.json':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                    return this.writeSchemaJSONConfiguration(resources, fileDetails);
+                case 'schema.graphql':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                    return this.writeSchemaSDLConfiguration(resources, fileDetails);
+                case 'graphql':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                    return this.writeGraphQLOperations(resources, fileDetails);
+                case 'appsync':
+                    this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                    return this.writeAppSyncAPI(resources, fileDetails);
+                default:
+                    if (this.configurationTypes.hasOwnProperty(fileDetails.type.toLowerCase())) {
+                        this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
+                        const contents = await this.configurationTypes[fileDetails.type.toLowerCase()](this.redactResources(resources, fileDetails), fileDetails, this);
+                        return this.writeConfigurationFile(fileDetails.filename, contents);
+                    }
+                    throw new Error(`Invalid Amplify configuration type directive for ${JSON.stringify(fileDetails)}`);
+            }
+        } else {
+            throw new Error(`Invalid Amplify configuration directive for ${JSON.stringify(fileDetails)}`);
+        }
+    }
+
+    /**
+     * Finds the AWS AppSync GraphQL API to use for a file.  If the appSyncApi
+     * option is specified, the API with that logical ID is used.  Otherwise, the
+     * first API in the stack is used.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Resource} the GraphQL API resource, or undefined if there is none
+     */
+    getAppSyncApi(resources, fileDetails) {
+        const appSyncApis = resources.filter(r => r.ResourceType === 'AWS::AppSync::GraphQLApi');
+        if (fileDetails.hasOwnProperty('appSyncApi')) {
+            const appSync = appSyncApis.find(r => r.LogicalResourceId === fileDetails.appSyncApi);
+            if (typeof appSync === 'undefined') {
+                throw new Error(`Invalid appSyncApi specified: ${fileDetails.appSyncApi}`);
+            }
+            return appSync;
+        }
+        return appSyncApis[0];
+    }
+
+    /**
+     * Returns the list of authentication types for an AWS AppSync API.  The
+     * primary authentication type is always first.
+     *
+     * @param {Resource} appSync the GraphQL API resource
+     * @returns {String[]} the list of authentication types
+     */
+    getAppSyncAuthenticationTypes(appSync) {
+        const graphqlApi = appSync.metadata.graphqlApi;
+        const additional = graphqlApi.additionalAuthenticationProviders || [];
+        return [ graphqlApi.authenticationType, ...additional.map(p => p.authenticationType) ];
+    }
+
+    /**
+     * Finds the API key to use for an AWS AppSync API.  If the apiKey option is
+     * 'disabled', no key is returned.  If the apiKey option is the logical ID of
+     * an AWS::AppSync::ApiKey for this API, that key is used.  Otherwise, the first
+     * key defined in the stack is used, falling back to the first unexpired key.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {Resource} appSync the GraphQL API resource
+     * @param {FileDetails} fileDetails the file details
+     * @returns {String} the API key, or undefined if there is none
+     */
+    getAppSyncApiKey(resources, appSync, fileDetails) {
+        if (fileDetails.apiKey === 'disabled' || !this.getAppSyncAuthenticationTypes(appSync).includes('API_KEY')) {
+            return undefined;
+        }
+
+        // The ARN of an API key is arn:aws:appsync:<region>:<account>:apis/<apiId>/apikeys/<key>
+        const apiKeys = resources.filter(r => r.ResourceType === 'AWS::AppSync::ApiKey');
+        const stackKeys = apiKeys.filter(r => r.PhysicalResourceId.split('/')[1] === appSync.metadata.graphqlApi.apiId);
+        if (fileDetails.hasOwnProperty('apiKey')) {
+            if (!apiKeys.some(r => r.LogicalResourceId === fileDetails.apiKey)) {
+                throw new Error(`Invalid apiKey specified: ${fileDetails.apiKey}`);
+            }
+            const apiKey = stackKeys.find(r => r.LogicalResourceId === fileDetails.apiKey);
+            if (typeof apiKey !== 'undefined') {
+                return apiKey.PhysicalResourceId.split('/')[3];
+            }
+        }
+        if (stackKeys.length > 0) {
+            return stackKeys[0].PhysicalResourceId.split('/')[3];
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const apiKey = (appSync.apiKeys || []).find(k => !k.expires || k.expires > now);
+        return typeof apiKey !== 'undefined' ? apiKey.id : undefined;
+    }
+
+    /**
+     * Generates the native configuration block for a single AWS AppSync API
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {Resource} appSync the GraphQL API resource
+     * @param {FileDetails} fileDetails the file details
+     * @param {String} authMode the authentication type - defaults to the primary type
+     * @returns {Object} the contents of the AppSync configuration block
+     */
+    getNativeAppSyncConfiguration(resources, appSync, fileDetails, authMode) {
+        let config = {
+            ApiUrl: appSync.metadata.graphqlApi.uris.GRAPHQL,
+            Region: appSync.metadata.graphqlApi.arn.split(':')[3],
+            AuthMode: authMode || appSync.metadata.graphqlApi.authenticationType
+        };
+        if (config.AuthMode === 'API_KEY') {
+            const apiKey = this.getAppSyncApiKey(resources, appSync, fileDetails);
+            if (typeof apiKey !== 'undefined') {
+                config.ApiKey = apiKey;
+            }
+        }
+        return config;
+    }
+
+    /**
+     * Generates the OAuth (Hosted UI) settings for a user pool app client.  The
+     * redirectSignIn and redirectSignOut options select the redirect URI when more
+     * than one is registered with the app client - otherwise the first is used.
+     * App clients without a callback URL (such as clients for the client credentials
+     * flow) cannot use the Hosted UI, so no settings are returned.  The sign out
+     * redirect URI is left out when the app client has no logout URL.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {Resource} appClient the user pool app client resource
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Object} the OAuth settings, or undefined if OAuth is not configured
+     */
+    getOAuthConfiguration(resources, appClient, fileDetails) {
+        const client = appClient.metadata.UserPoolClient;
+        const domain = resources.find(r => r.ResourceType === 'AWS::Cognito::UserPoolDomain' &&
+            r.metadata.DomainDescription.UserPoolId === client.UserPoolId);
+        if (typeof domain === 'undefined' || !client.AllowedOAuthFlowsUserPoolClient) {
+            return undefined;
+        }
+        if ((client.CallbackURLs || []).length === 0) {
+            this.log('info', `${appClient.LogicalResourceId} has no callback URLs - skipping the Hosted UI settings`);
+            return undefined;
+        }
+
+        // Custom domains are used as-is - otherwise the domain is a prefix for the Cognito domain
+        const description = domain.metadata.DomainDescription;
+        const webDomain = description.CustomDomainConfig
+            ? description.Domain
+            : `${description.Domain}.auth.${client.UserPoolId.split('_')[0]}.amazoncognito.com`;
 
-        this.hooks = {
-            'after:deploy:deploy': this.process.bind(this)
+        const selectRedirect = (option, urls) => {
+            if (fileDetails.hasOwnProperty(option)) {
+                if (!urls.includes(fileDetails[option])) {
+                    throw new Error(`Invalid ${option} specified: ${fileDetails[option]}`);
+                }
+                return fileDetails[option];
+            }
+            return urls[0];
+        };
+
+        return {
+            domain: webDomain,
+            scopes: client.AllowedOAuthScopes || [],
+            redirectSignIn: selectRedirect('redirectSignIn', client.CallbackURLs || []),
+            redirectSignOut: selectRedirect('redirectSignOut', client.LogoutURLs || []),
+            responseType: (client.AllowedOAuthFlows || []).includes('code') ? 'code' : 'token',
+            identityProviders: client.SupportedIdentityProviders || []
         };
     }
 
-    stackName() {
-        return this.provider.naming.getStackName();
+    /**
+     * Returns the Pinpoint app used for analytics.  This is the app selected by
+     * the pinpointApp option, or the first app.  If pinpointApp is 'disabled',
+     * no app is returned.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Resource} the Pinpoint app, or undefined
+     */
+    getPinpointApp(resources, fileDetails) {
+        const pinpointApps = resources.filter(r => r.ResourceType === 'AWS::Pinpoint::App');
+        if (!fileDetails.hasOwnProperty('pinpointApp')) {
+            return pinpointApps[0];
+        }
+        if (fileDetails.pinpointApp === 'disabled') {
+            return undefined;
+        }
+        const pinpointApp = pinpointApps.find(r => r.LogicalResourceId === fileDetails.pinpointApp);
+        if (typeof pinpointApp === 'undefined') {
+            throw new Error(`pinpointApp '${fileDetails.pinpointApp}' is not a resource in the stack`);
+        }
+        return pinpointApp;
     }
 
     /**
-     * Log a message to the console.
+     * Returns the Kinesis data streams and Kinesis Data Firehose delivery streams
+     * used for analytics.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {String} resourceType the type of stream
+     * @returns {Object[]} list of { name, stream, region } objects
      */
-    log(level, message) {
-        if (level == 'error') {
-            console.log(chalk.red(`ERROR: amplify-plugin: ${message}`));
-        } else if (level == 'warn') {
-            console.log(chalk.yellow(`WARNING: amplify-plugin: ${message}`));
-        } else if (level == 'info') {
-            if (this.options.v) console.log(chalk.green('amplify-plugin: ') + message);
-        } else {
-            if (process.env.SLS_DEBUG) console.log(chalk.blue('amplify-plugin: ') + message);
+    getKinesisStreams(resources, resourceType) {
+        return resources.filter(r => r.ResourceType === resourceType).map(v => ({
+            name: v.LogicalResourceId,
+            stream: v.PhysicalResourceId,
+            region: this.getResourceRegion(v)
+        }));
+    }
+
+    /**
+     * Determines if any custom.amplify entry requests an opt-in section.
+     *
+     * @param {String} option the option for the section - functions, tables or cloudfront
+     * @returns {Boolean} true if the section is requested by any entry
+     */
+    isSectionRequested(option) {
+        return this.config.filter(f => !this.isSourceEntry(f) && !this.isExtensionEntry(f))
+            .some(f => typeof f === 'object' && f !== null && f.hasOwnProperty(option) && f[option] !== false);
+    }
+
+    /**
+     * Filters the items of an opt-in section by the include and exclude lists of
+     * the option.  If the option is not specified (or false), nothing is included.
+     *
+     * @param {Object[]} items the items of the section, each with a name
+     * @param {FileDetails} fileDetails the file details
+     * @param {String} option the option for the section - functions or tables
+     * @returns {Object[]} the items to write
+     */
+    filterSection(items, fileDetails, option) {
+        const value = fileDetails[option];
+        if (typeof value === 'undefined' || value === false) {
+            return [];
         }
+        const filter = typeof value === 'object' ? value : {};
+        return items.filter(v => (!filter.include || filter.include.includes(v.name)) && !(filter.exclude || []).includes(v.name));
     }
 
     /**
-     * Calls the AWS Control Plane API to retrieve information
+     * Returns the Lambda functions selected by the functions option.  Functions in
+     * the functions section of serverless.yml are named after the function in that
+     * section - any other functions are named by their logical ID.
      *
-     * @param {String} apiName
-     * @param {String} operation
-     * @param {Object} parameters
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Object[]} list of { name, functionName, arn, region } objects
      */
-    async fetch(apiName, operation, parameters) {
-        this.log('debug', `fetch(${apiName}, ${operation}, ${JSON.stringify(parameters)})`);
-        return this.provider.request(apiName, operation, parameters);
+    getLambdaFunctions(resources, fileDetails) {
+        const functions = this.serverless.service.functions || {};
+        const functionNames = Object.keys(functions);
+        const lambdaFunctions = resources.filter(r => r.ResourceType === 'AWS::Lambda::Function' && r.hasOwnProperty('metadata')).map((v) => {
+            const serverlessName = functionNames.find(name => functions[name].name === v.PhysicalResourceId ||
+                this.provider.naming.getLambdaLogicalId(name) === v.LogicalResourceId);
+            return {
+                name: serverlessName || v.LogicalResourceId,
+                functionName: v.metadata.FunctionName,
+                arn: v.metadata.FunctionArn,
+                region: this.getResourceRegion(v)
+            };
+        });
+        return this.filterSection(lambdaFunctions, fileDetails, 'functions');
     }
 
     /**
-     * Process the after:deploy:deploy hook to generate the files.  Because the
-     * process() has to be synchronous, yet many of the methods are async, we
-     * transition to a Promise based structure.  However, most of the methods
-     * use async/await to properly process things linearly.
+     * Returns the DynamoDB tables selected by the tables option, named by their
+     * logical ID.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Object[]} list of { name, table, region } objects
      */
-    process() {
-        this.log('info', `Processing stack: ${this.stackName()}`);
-        const resources = this.listStackResources(this.stackName())
-            .then(resources => this.describeStackResources(resources))
-            .then(resources => this.writeConfigurationFiles(resources))
-            .catch(error => this.log('error', `Cannot load resources: ${error.message}`));
-        return resources;
+    getDynamoDBTables(resources, fileDetails) {
+        const tables = resources.filter(r => r.ResourceType === 'AWS::DynamoDB::Table').map(v => ({
+            name: v.LogicalResourceId,
+            table: v.PhysicalResourceId,
+            region: this.getResourceRegion(v)
+        }));
+        return this.filterSection(tables, fileDetails, 'tables');
     }
 
     /**
-     * Obtains the resources for a specific CloudFormation stack
+     * Returns the S3 buckets used for user file storage, excluding the deployment
+     * bucket.  The bucket selected by the s3bucket option (or the first bucket) is
+     * marked as the default.  If s3bucket is 'disabled', no buckets are returned.
+     * If the cloudfront option is specified, the domain of the CloudFront
+     * distribution in front of each bucket is included.
      *
-     * @param {String} stackName the name of the CloudFormation stack
-     * @returns {Resource[]} list of resource objects
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Object[]} list of { name, bucket, region, isDefault, cloudFrontDomain } objects
      */
-    async listStackResources(stackName) {
-        let resources = [];
-        let request = { StackName: stackName };
-        let morePages = false;
+    getStorageBuckets(resources, fileDetails) {
+        const s3buckets = resources.filter(r => r.ResourceType === 'AWS::S3::Bucket' && r.LogicalResourceId !== 'ServerlessDeploymentBucket');
+        const userFiles = fileDetails.hasOwnProperty('s3bucket') ? s3buckets.find(r => r.LogicalResourceId === fileDetails.s3bucket) : s3buckets[0];
+        if (typeof userFiles === 'undefined') {
+            return [];
+        }
 
-        do {
-            let result = await this.fetch('CloudFormation', 'listStackResources', request);
-            result.StackResourceSummaries.forEach(item => { resources.push(item); });
-            request.NextToken = result.NextToken;
-            morePages = result.NextToken ? true : false;
-        } while (morePages);
-        
-        for (let resource of resources) {
-            if (resource.ResourceType === 'AWS::CloudFormation::Stack') {
-                const nestedStackName = resource.PhysicalResourceId.split('/')[1];
-                this.log('info', `Processing nested stack: ${nestedStackName}`);
-                const nestedResources = await this.listStackResources(nestedStackName);
-                resources.push(...nestedResources);
+        const distributions = resources.filter(r => r.ResourceType === 'AWS::CloudFront::Distribution' && r.metadata);
+        return s3buckets.map((v) => {
+            let bucket = {
+                name: v.LogicalResourceId,
+                bucket: v.PhysicalResourceId,
+                region: this.getResourceRegion(v),
+                isDefault: v === userFiles
+            };
+
+            if (fileDetails.cloudfront === true) {
+                // S3 origins have a domain of <bucket>.s3.amazonaws.com, <bucket>.s3.<region>.amazonaws.com or <bucket>.s3-website...
+                const distribution = distributions.find(d => d.metadata.Distribution.DistributionConfig.Origins.Items.some((o) => {
+                    return o.DomainName.startsWith(`${v.PhysicalResourceId}.s3.`) || o.DomainName.startsWith(`${v.PhysicalResourceId}.s3-`);
+                }));
+                if (typeof distribution !== 'undefined') {
+                    const aliases = distribution.metadata.Distribution.DistributionConfig.Aliases.Items || [];
+                    bucket.cloudFrontDomain = aliases.length > 0 ? aliases[0] : distribution.metadata.Distribution.DomainName;
+                }
             }
-        }
+            return bucket;
+        });
+    }
 
-        return resources;
+    /**
+     * Returns the endpoints of the Amazon API Gateway REST, HTTP and WebSocket
+     * APIs.  The stage is the stage of the service if the API has it - HTTP APIs
+     * prefer the $default stage.  If a custom domain is mapped to the API and
+     * stage, the custom domain URL is used.  Each API is named by its logical ID,
+     * unless the apiNames option gives it another name.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Object[]} list of { logicalId, name, endpoint, region } objects
+     */
+    getApiGatewayEndpoints(resources, fileDetails) {
+        const apiNames = fileDetails.apiNames || {};
+        const serviceStage = this.provider.getStage();
+        const domains = resources.filter(r => (r.ResourceType === 'AWS::ApiGateway::DomainName' || r.ResourceType === 'AWS::ApiGatewayV2::DomainName') && r.metadata);
+        const apis = resources.filter(r => r.ResourceType === 'AWS::ApiGateway::RestApi' || r.ResourceType === 'AWS::ApiGatewayV2::Api');
+
+        return apis.map((api) => {
+            const region = this.getResourceRegion(api);
+            const stages = (api.metadata && api.metadata.stages) || [];
+            const isHttpApi = api.ResourceType === 'AWS::ApiGatewayV2::Api' && api.metadata.api.ProtocolType === 'HTTP';
+            let stage = stages.length === 0 || stages.includes(serviceStage) ? serviceStage : stages[0];
+            if (isHttpApi && (stages.length === 0 || stages.includes('$default'))) {
+                stage = '$default';
+            }
+
+            let endpoint;
+            if (api.ResourceType === 'AWS::ApiGateway::RestApi') {
+                endpoint = `https://${api.PhysicalResourceId}.execute-api.${region}.amazonaws.com/${stage}`;
+            } else {
+                endpoint = stage === '$default' ? api.metadata.api.ApiEndpoint : `${api.metadata.api.ApiEndpoint}/${stage}`;
+            }
+
+            const domain = domains.find(d => d.metadata.mappings.some(m => m.apiId === api.PhysicalResourceId && m.stage === stage));
+            if (typeof domain !== 'undefined') {
+                const mapping = domain.metadata.mappings.find(m => m.apiId === api.PhysicalResourceId && m.stage === stage);
+                const protocol = endpoint.startsWith('wss:') ? 'wss' : 'https';
+                endpoint = `${protocol}://${domain.PhysicalResourceId}${mapping.basePath ? `/${mapping.basePath}` : ''}`;
+            }
+
+            return {
+                logicalId: api.LogicalResourceId,
+                name: apiNames[api.LogicalResourceId] || api.LogicalResourceId,
+                endpoint: endpoint,
+                region: region
+            };
+        });
     }
 
     /**
-     * Gets the specifics of the actual physical resource ID based on the Resource Type
+     * Returns the federated identity providers supported by an identity pool, with
+     * the output keys for each one.  The federatedProviders option adds to (or
+     * replaces) the built-in mapping of provider domain to output keys.
      *
-     * @param {Resource[]} resources the list of resources to describe
-     * @returns {Resource[]} the resource with added descriptions.
+     * @param {Resource} identityPool the identity pool resource
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Object[]} list of { domain, id, mapping } objects
      */
-    async describeStackResources(resources) {
-        let detailedResources = [];
-        for (let i = 0 ; i < resources.length ; i++) {
-            const resource = resources[i];
-            switch (resource.ResourceType) {
-                case 'AWS::AppSync::GraphQLApi':
-                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
-                    const appSyncId = resource.PhysicalResourceId.split('/')[1];
-                    let appSyncMetaData = await this.fetch('AppSync', 'getGraphqlApi', { apiId: appSyncId });
-                    let appSyncSchema = await this.fetch('AppSync', 'getIntrospectionSchema', { apiId: appSyncId, format: 'JSON' });
-                    detailedResources.push(Object.assign({}, resource, { metadata: appSyncMetaData, schema:  JSON.parse(appSyncSchema.schema.toString()) }));
-                    break;
-                case 'AWS::Cognito::IdentityPool':
-                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
-                    let idpMetadata = await this.fetch('CognitoIdentity', 'describeIdentityPool', { IdentityPoolId: resource.PhysicalResourceId });
-                    detailedResources.push(Object.assign({}, resource, { metadata: idpMetadata }));
-                    break;
-                case 'AWS::Cognito::UserPool':
-                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
-                    const userPoolMetaData = await this.fetch('CognitoIdentityServiceProvider', 'describeUserPool', { UserPoolId: resource.PhysicalResourceId });
-                    detailedResources.push(Object.assign({}, resource, { metadata: userPoolMetaData }));
-                    break;
-                case 'AWS::S3::Bucket':
-                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
-                    detailedResources.push(resource);   // We have all the details we need for this
-                    break;
-                case 'AWS::ApiGateway::RestApi':
-                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
-                    detailedResources.push(resource);
-                    break;
-                default:
-                    this.log('debug', `Skipping ${JSON.stringify(resource)}`);
-                    break;
+    getFederatedProviders(identityPool, fileDetails) {
+        const providers = identityPool.metadata.SupportedLoginProviders || {};
+        const mappings = Object.assign({}, FEDERATED_PROVIDERS);
+        Object.keys(fileDetails.federatedProviders || {}).forEach((domain) => {
+            const mapping = fileDetails.federatedProviders[domain];
+            mappings[domain] = typeof mapping === 'string' ? { javascript: mapping } : mapping;
+        });
+
+        return Object.keys(providers).filter((domain) => {
+            if (!mappings.hasOwnProperty(domain)) {
+                this.log('warn', `No mapping for federated provider ${domain} - add it to federatedProviders to include it`);
+                return false;
+            }
+            return true;
+        }).map((domain) => {
+            const mapping = mappings[domain];
+            return {
+                domain: domain,
+                id: typeof mapping.value === 'function' ? mapping.value(providers[domain]) : providers[domain],
+                mapping: mapping
+            };
+        });
+    }
+
+    /**
+     * Returns the secrets that may be written for a file: the user pool app client
+     * secret, and the API key of each AWS AppSync API.  Each secret is named after
+     * the JavaScript setting it is written to (in upper case), so the same name is
+     * used in every format.  API keys of APIs other than the selected API have the
+     * logical ID of the API added.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Object[]} list of { name, value } objects
+     */
+    getSecrets(resources, fileDetails) {
+        let secrets = [];
+
+        if (fileDetails.hasOwnProperty('appClient')) {
+            const appClient = resources.find(r => r.ResourceType === 'AWS::Cognito::UserPoolClient' && r.LogicalResourceId === fileDetails.appClient);
+            if (typeof appClient !== 'undefined' && appClient.metadata.UserPoolClient.hasOwnProperty('ClientSecret')) {
+                secrets.push({ name: 'AWS_USER_POOLS_WEB_CLIENT_SECRET', value: appClient.metadata.UserPoolClient.ClientSecret });
             }
         }
 
-        // Process User pool clients AFTER the user pool
-        for (let i = 0 ; i < resources.length ; i++) {
-            const resource = resources[i];
-            switch (resource.ResourceType) {
-                case 'AWS::Cognito::UserPoolClient':
-                    this.log('debug', `Processing ${JSON.stringify(resource)}`);
-                    const cfTemplate =  this.serverless.service.provider.compiledCloudFormationTemplate.Resources[resource.LogicalResourceId];
-                    const userPoolName = cfTemplate.Properties.UserPoolId.Ref;
-                    const userPoolResource = resources.filter(r => r.ResourceType === 'AWS::Cognito::UserPool' && r.LogicalResourceId === userPoolName)[0];
-                    let result = await this.fetch('CognitoIdentityServiceProvider', 'describeUserPoolClient', {
-                        ClientId: resource.PhysicalResourceId,
-                        UserPoolId: userPoolResource.PhysicalResourceId
-                    });
-                    detailedResources.push(Object.assign({}, resource, { metadata: result }));
-                    break;
+        const appSync = this.getAppSyncApi(resources, fileDetails);
+        resources.filter(r => r.ResourceType === 'AWS::AppSync::GraphQLApi').forEach((v) => {
+            const apiKey = this.getAppSyncApiKey(resources, v, fileDetails);
+            if (typeof apiKey !== 'undefined' && !secrets.some(secret => secret.value === apiKey)) {
+                const name = v === appSync ? 'AWS_APPSYNC_APIKEY' : `AWS_APPSYNC_APIKEY_${v.LogicalResourceId.toUpperCase()}`;
+                secrets.push({ name: name, value: apiKey });
+            }
+        });
+
+        return secrets;
+    }
+
+    /**
+     * Applies the secrets policy of a file to its configuration.  With the include
+     * policy (the default), secrets are written as is.  With the omit policy, they
+     * are removed.  With the env-reference policy, or when a secretsFile is given,
+     * each secret is replaced by the value returned by the reference function.
+     *
+     * @param {Object} config the configuration to write
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @param {Function} reference returns the value that refers to a named secret
+     * @returns {Object} the secrets that were replaced, by name
+     */
+    applySecretPolicy(config, resources, fileDetails, reference) {
+        const secrets = this.getSecrets(resources, fileDetails);
+        const policy = fileDetails.secrets || 'include';
+        let replaced = {};
+
+        const replace = (value) => {
+            Object.keys(value).forEach((key) => {
+                const secret = secrets.find(s => s.value === value[key]);
+                if (typeof secret !== 'undefined') {
+                    if (policy === 'omit') {
+                        delete value[key];
+                    } else {
+                        value[key] = reference(secret.name);
+                        replaced[secret.name] = secret.value;
+                    }
+                } else if (typeof value[key] === 'object' && value[key] !== null) {
+                    replace(value[key]);
+                }
+            });
+        };
+
+        if (policy === 'include' && !fileDetails.hasOwnProperty('secretsFile')) {
+            const contents = JSON.stringify(config);
+            if (secrets.some(s => contents.includes(JSON.stringify(s.value))) && this.getGitStatus(fileDetails.filename) === 'tracked') {
+                this.log('warn', `${fileDetails.filename} contains secrets and is tracked by git - use the secrets or secretsFile option to keep them out of the repository`);
             }
+        } else {
+            replace(config);
         }
+        return replaced;
+    }
 
-        return detailedResources;
+    /**
+     * Returns a copy of the resources without their secrets, for the secrets policy
+     * of a file.  The secrets written to the file are omitted, or replaced by a
+     * ${NAME} placeholder for the env-reference policy.  Every other app client
+     * secret and API key is omitted, as it has no name to refer to.  With the
+     * include policy, the resources are returned as is.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Resource[]} the redacted resources
+     */
+    redactResources(resources, fileDetails) {
+        const policy = fileDetails.secrets || 'include';
+        if (policy === 'include') {
+            return resources;
+        }
+
+        let secrets = this.getSecrets(resources, fileDetails);
+        resources.forEach((r) => {
+            const clientSecret = r.metadata && r.metadata.UserPoolClient && r.metadata.UserPoolClient.ClientSecret;
+            [ clientSecret, ...(r.apiKeys || []).map(k => k.id) ].filter(v => typeof v === 'string' && !secrets.some(s => s.value === v))
+                .forEach((value) => { secrets.push({ value: value }); });
+        });
+
+        // API keys are also part of the ARN of each AWS::AppSync::ApiKey, so strings containing a secret are redacted
+        const redact = (value) => {
+            if (Array.isArray(value)) {
+                return value.map(redact).filter(v => typeof v !== 'undefined');
+            } else if (typeof value === 'object' && value !== null) {
+                let copy = {};
+                Object.keys(value).forEach((key) => {
+                    const redacted = redact(value[key]);
+                    if (typeof redacted !== 'undefined') {
+                        copy[key] = redacted;
+                    }
+                });
+                return copy;
+            } else if (typeof value === 'string') {
+                const found = secrets.filter(s => value.includes(s.value));
+                if (policy === 'omit' || found.some(s => typeof s.name === 'undefined')) {
+                    return found.length > 0 ? undefined : value;
+                }
+                return found.reduce((redacted, s) => redacted.split(s.value).join(`\${${s.name}}`), value);
+            }
+            return value;
+        };
+        return redact(resources);
     }
 
     /**
-     * Writes the schema file to a temporary location.
+     * Returns how git treats a file - 'tracked', 'ignored' or 'untracked'.  If the
+     * file is not within a git repository, or git is not available, undefined is
+     * returned.
      *
-     * @param {Resource} resource the GraphQL API Resource
-     * @returns {String} path to the temporary file
+     * @param {String} filename the file name
+     * @returns {String} the status of the file
      */
-    getTemporarySchemaFile(resource) {
-        const filename = path.join('.serverless', 'amplify-schema.json');
-        fs.writeFileSync(filename, JSON.stringify(resource.schema, null, 2));
-        return filename;
+    getGitStatus(filename) {
+        const git = (args) => {
+            try {
+                childProcess.execFileSync('git', args, { cwd: directory, stdio: 'ignore' });
+                return true;
+            } catch (error) {
+                return error.status === 1 ? false : undefined;
+            }
+        };
+
+        // The directory may not have been created yet
+        let directory = path.dirname(path.resolve(filename));
+        while (!fs.existsSync(directory)) {
+            directory = path.dirname(directory);
+        }
+        const relative = path.relative(directory, path.resolve(filename));
+        const tracked = git([ 'ls-files', '--error-unmatch', relative ]);
+        if (typeof tracked === 'undefined') {
+            return undefined;
+        } else if (tracked) {
+            return 'tracked';
+        }
+        return git([ 'check-ignore', '-q', relative ]) ? 'ignored' : 'untracked';
     }
 
     /**
-     * Writes the operations file to a temporary location.
+     * Writes the secrets replaced in a file to the file given by the secretsFile
+     * option, in the same format as the file.  A warning is logged if git does
+     * not ignore the secrets file.
      *
-     * @param {Resource} resource the GraphQL API Resource
-     * @returns {String} path to the temporary file
+     * @param {FileDetails} fileDetails the file details
+     * @param {Object} secrets the secrets, by name
+     * @param {String} format 'json', 'javascript', 'typescript', 'commonjs' or 'dotenv'
+     * @returns {Promise<String>} resolves to 'written', 'unchanged' or 'dry-run'
+     */
+    async writeSecretsFile(fileDetails, secrets, format) {
+        const status = this.getGitStatus(fileDetails.secretsFile);
+        if (typeof status !== 'undefined' && status !== 'ignored') {
+            this.log('warn', `The secrets file ${fileDetails.secretsFile} is not ignored by git - add it to .gitignore`);
+        }
+
+        const header = [
+            `${format === 'dotenv' ? '#' : '//'} WARNING: DO NOT EDIT.  This file is automatically generated`,
+            `${format === 'dotenv' ? '#' : '//'} Written by ${this.useragent} on ${new Date().toISOString()}`
+        ];
+        let contents;
+        switch (format) {
+            case 'json':
+                contents = JSON.stringify(secrets, null, 2);
+                break;
+            case 'dotenv':
+                contents = header.concat(Object.keys(secrets).sort().map(name => `${name}=${secrets[name]}`)).join('\n') + '\n';
+                break;
+            default:
+                contents = header.concat([
+                    '',
+                    `const secrets${format === 'typescript' ? ': { [name: string]: string }' : ''} = ${stringify(secrets, { pretty: true, space: 4 })};`,
+                    '',
+                    format === 'commonjs' ? 'module.exports = secrets;' : 'export default secrets;',
+                    ''
+                ]).join('\n');
+                break;
+        }
+        const result = await this.writeConfigurationFile(fileDetails.secretsFile, contents);
+        this.secretsFileResults.push({ filename: fileDetails.secretsFile, result: result });
+        return result;
+    }
+
+    /**
+     * Converts a JavaScript configuration to source code, replacing each secret
+     * with a reference to the environment variable (for the env-reference policy)
+     * or to the secrets module (for the secretsFile option).
+     *
+     * @param {Object} config the JavaScript configuration
+     * @param {FileDetails} fileDetails the file details
+     * @param {String} format 'javascript', 'typescript' or 'commonjs'
+     * @returns {String} the source code of the configuration object
      */
-    getTemporaryOperationsFile(resource, schemaFile) {
-        const operationsFile = path.join('.serverless', 'amplify-operations.graphql');
-        graphqlGenerator(schemaFile, operationsFile, { language: 'graphql' });
-        return operationsFile;
+    getJavaScriptSource(config, fileDetails, format) {
+        const source = stringify(config, { pretty: true, space: 4 });
+        return source.replace(new RegExp(`(['"])${SECRET_MARKER}([A-Z0-9_]+)\\1`, 'g'), (match, quote, name) => {
+            if (fileDetails.hasOwnProperty('secretsFile')) {
+                return `secrets.${name}`;
+            }
+            return format === 'typescript' ? `process.env.${name} as string` : `process.env.${name}`;
+        });
     }
 
     /**
-     * Writes out the required configuration files.
+     * Returns the header lines of a JavaScript configuration file, including the
+     * import of the secrets module when the secretsFile option is given.
      *
-     * @param {Resource][]} resources the fully processed resources with all available data
+     * @param {FileDetails} fileDetails the file details
+     * @param {String} format 'javascript', 'typescript' or 'commonjs'
+     * @returns {String[]} the header lines
      */
-    writeConfigurationFiles(resources) {
-        for (let i = 0 ; i < this.config.length ; i++) {
-            const fileDetails = this.config[i];
-            if (fileDetails.hasOwnProperty('type') && fileDetails.hasOwnProperty('filename')) {
-                switch (fileDetails.type.toLowerCase()) {
-                    case 'native':
-                        this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
-                        this.writeNativeConfiguration(resources, fileDetails);
-                        break;
-                    case 'javascript':
-                        this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
-                        this.writeJavaScriptConfiguration(resources, fileDetails);
-                        break;
-                    case 'typescript':
-                        this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
-                        this.writeTypeScriptConfiguration(resources, fileDetails);
-                        break;
-                    case 'schema.json':
-                        this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
-                        this.writeSchemaJSONConfiguration(resources, fileDetails);
-                        break;
-                    case 'graphql':
-                        this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
-                        this.writeGraphQLOperations(resources, fileDetails);
-                        break;
-                    case 'appsync':
-                        this.log('info', `Writing ${fileDetails.type} file to ${fileDetails.filename}`);
-                        this.writeAppSyncAPI(resources, fileDetails);
-                        break;
-                    default:
-                        this.log('error', `Invalid Amplify configuration type directive for ${JSON.stringify(fileDetails)}`);
-                        throw new Error(`Invalid Amplify configuration type directive for ${JSON.stringify(fileDetails)}`);
-                }
-            } else {
-                this.log('error', `Invalid Amplify configuration directive for ${JSON.stringify(fileDetails)}`);
-                throw new Error(`Invalid Amplify configuration directive for ${JSON.stringify(fileDetails)}`);
+    getJavaScriptHeader(fileDetails, format) {
+        let header = [
+            '// WARNING: DO NOT EDIT.  This file is automatically generated',
+            `// Written by ${this.useragent} on ${new Date().toISOString()}`
+        ];
+        if (fileDetails.hasOwnProperty('secretsFile')) {
+            let modulePath = path.relative(path.dirname(path.resolve(fileDetails.filename)), path.resolve(fileDetails.secretsFile));
+            modulePath = modulePath.substr(0, modulePath.length - path.extname(modulePath).length).split(path.sep).join('/');
+            if (!modulePath.startsWith('.')) {
+                modulePath = `./${modulePath}`;
             }
+            header.push(format === 'commonjs' ? `const secrets = require('${modulePath}');` : `import secrets from '${modulePath}';`);
+        }
+        header.push('');
+        return header;
+    }
+
+    /**
+     * Writes out a JSON configuration file, applying the secrets policy.  Secrets
+     * that are not written are replaced by ${NAME} placeholders.
+     *
+     * @param {Object} config the configuration to write
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Promise<String>} resolves to 'written', 'unchanged' or 'dry-run'
+     */
+    async writeJSONConfiguration(config, resources, fileDetails) {
+        const secrets = this.applySecretPolicy(config, resources, fileDetails, name => `\${${name}}`);
+        if (fileDetails.hasOwnProperty('secretsFile')) {
+            await this.writeSecretsFile(fileDetails, secrets, 'json');
         }
+        return this.writeConfigurationFile(fileDetails.filename, JSON.stringify(config, null, 2));
     }
 
     /**
@@ -242,6 +2261,18 @@ class ServerlessAmplifyPlugin {
      * @param {FileDetails} fileDetails the file details
      */
     writeNativeConfiguration(resources, fileDetails) {
+        const config = this.getNativeConfiguration(resources, fileDetails);
+        return this.writeJSONConfiguration(config, resources, fileDetails);
+    }
+
+    /**
+     * Generates the contents of a native 'awsconfiguration.json' file
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Object} the native configuration
+     */
+    getNativeConfiguration(resources, fileDetails) {
         let config = {
             'UserAgent': this.useragent,
             'Version': '1.0'
@@ -260,6 +2291,27 @@ class ServerlessAmplifyPlugin {
                 if (appClient.metadata.UserPoolClient.hasOwnProperty('ClientSecret')) {
                     config.CognitoUserPool.Default.AppClientSecret = appClient.metadata.UserPoolClient.ClientSecret
                 }
+
+                const oauth = this.getOAuthConfiguration(resources, appClient, fileDetails);
+                if (typeof oauth !== 'undefined') {
+                    config.Auth = {
+                        Default: {
+                            OAuth: {
+                                WebDomain: oauth.domain,
+                                AppClientId: appClient.metadata.UserPoolClient.ClientId,
+                                SignInRedirectURI: oauth.redirectSignIn,
+                                SignOutRedirectURI: oauth.redirectSignOut,
+                                Scopes: oauth.scopes
+                            }
+                        }
+                    };
+                    if (typeof oauth.redirectSignOut === 'undefined') {
+                        delete config.Auth.Default.OAuth.SignOutRedirectURI;
+                    }
+                    if (appClient.metadata.UserPoolClient.hasOwnProperty('ClientSecret')) {
+                        config.Auth.Default.OAuth.AppClientSecret = appClient.metadata.UserPoolClient.ClientSecret;
+                    }
+                }
             } else {
                 throw new Error(`Invalid appClient specified: ${fileDetails.appClient}`);
             }
@@ -282,72 +2334,154 @@ class ServerlessAmplifyPlugin {
                 }
             };
 
-            if (typeof identityPool.metadata.SupportedLoginProviders == 'object') {
-                const providers = identityPool.metadata.SupportedLoginProviders;
-
-                // Each authentication provider that is supported for federation  has an entry in
-                // the SupportedLoginProviders that is a "magic" domain - constant for each provider.
-                // Once you know the provider domain, you can easily add new provider support.
-                if ('accounts.google.com' in providers) {
-                    config.GoogleSignin = {
-                        Permissions: 'email,profile,openid',
-                        'ClientId-WebApp': providers['accounts.google.com']
-                    };
+            this.getFederatedProviders(identityPool, fileDetails).filter(p => p.mapping.native).forEach((p) => {
+                config[p.mapping.native] = {};
+                if (p.mapping.permissions) {
+                    config[p.mapping.native].Permissions = p.mapping.permissions;
                 }
+                config[p.mapping.native][p.mapping.property || 'ClientId'] = p.id;
+            });
 
-                if ('graph.facebook.com' in providers) {
-                    config.FacebookSignin = {
-                        Permissions: "public_profile",
-                        AppId: providers['graph.facebook.com']
-                    };
-                }
+            if (Array.isArray(identityPool.metadata.OpenIdConnectProviderARNs) && identityPool.metadata.OpenIdConnectProviderARNs.length > 0) {
+                config.CredentialsProvider.CognitoIdentity.Default.OpenIdConnectProviderARNs = identityPool.metadata.OpenIdConnectProviderARNs;
+            }
 
-                if ('www.amazon.com' in providers) {
-                    config.AmazonSignin = {
-                        Permissions: "profile",
-                        ClientId: providers['www.amazon.com']
-                    };
-                }
+            if (Array.isArray(identityPool.metadata.SamlProviderARNs) && identityPool.metadata.SamlProviderARNs.length > 0) {
+                config.CredentialsProvider.CognitoIdentity.Default.SamlProviderARNs = identityPool.metadata.SamlProviderARNs;
             }
         }
 
-        const appSync = resources.find(r => r.ResourceType === 'AWS::AppSync::GraphQLApi');
+        const appSync = this.getAppSyncApi(resources, fileDetails);
         if (typeof appSync !== 'undefined') {
+            // The selected API is the Default - every API is also available by its logical ID,
+            // and each additional authentication type is available as <LogicalId>_<AuthMode>
             config.AppSync = {
+                Default: this.getNativeAppSyncConfiguration(resources, appSync, fileDetails)
+            };
+            resources.filter(r => r.ResourceType === 'AWS::AppSync::GraphQLApi').forEach((v) => {
+                this.addNamedConfiguration(config.AppSync, v.LogicalResourceId, this.getNativeAppSyncConfiguration(resources, v, fileDetails));
+                this.getAppSyncAuthenticationTypes(v).slice(1).forEach((authMode) => {
+                    this.addNamedConfiguration(config.AppSync, `${v.LogicalResourceId}_${authMode}`, this.getNativeAppSyncConfiguration(resources, v, fileDetails, authMode));
+                });
+            });
+        }
+
+        let s3buckets = this.getStorageBuckets(resources, fileDetails);
+        if (s3buckets.length > 0) {
+            // The selected bucket is the Default - every bucket is also available by its logical ID
+            config.S3TransferUtility = {};
+            s3buckets.sort((a, b) => b.isDefault - a.isDefault).forEach((v) => {
+                let bucketConfig = {
+                    Bucket: v.bucket,
+                    Region: v.region
+                };
+                if (v.hasOwnProperty('cloudFrontDomain')) {
+                    bucketConfig.CloudFrontDomain = v.cloudFrontDomain;
+                }
+                if (v.isDefault) {
+                    config.S3TransferUtility.Default = bucketConfig;
+                }
+                this.addNamedConfiguration(config.S3TransferUtility, v.name, bucketConfig);
+            });
+        }
+
+        const pinpointApp = this.getPinpointApp(resources, fileDetails);
+        if (typeof pinpointApp !== 'undefined') {
+            config.PinpointAnalytics = {
+                Default: {
+                    AppId: pinpointApp.PhysicalResourceId,
+                    Region: this.getResourceRegion(pinpointApp)
+                }
+            };
+            config.PinpointTargeting = {
                 Default: {
-                    ApiUrl: appSync.metadata.graphqlApi.uris.GRAPHQL,
-                    Region: appSync.metadata.graphqlApi.arn.split(':')[3],
-                    AuthMode: appSync.metadata.graphqlApi.authenticationType
+                    Region: this.getResourceRegion(pinpointApp)
                 }
             };
         }
 
-        let s3buckets = resources.filter(r => r.ResourceType === 'AWS::S3::Bucket' && r.LogicalResourceId !== 'ServerlessDeploymentBucket');
-        if (s3buckets.length > 0) {
-            let userFiles = fileDetails.hasOwnProperty('s3bucket') ? s3buckets.find(r => r.LogicalResourceId === fileDetails.s3bucket) : s3buckets[0];
-            if (typeof userFiles !== 'undefined') {
-                config.S3TransferUtility = {
-                    Default: {
-                        Bucket: userFiles.PhysicalResourceId,
-                        Region: this.provider.getRegion()
+        // The first stream is the Default - every stream is also available by its logical ID
+        [
+            { key: 'Kinesis', resourceType: 'AWS::Kinesis::Stream', property: 'StreamName' },
+            { key: 'KinesisFirehose', resourceType: 'AWS::KinesisFirehose::DeliveryStream', property: 'DeliveryStreamName' }
+        ].forEach(({ key, resourceType, property }) => {
+            const streams = this.getKinesisStreams(resources, resourceType);
+            if (streams.length > 0) {
+                config[key] = {};
+                streams.forEach((v, i) => {
+                    const streamConfig = {
+                        [property]: v.stream,
+                        Region: v.region
+                    };
+                    if (i === 0) {
+                        config[key].Default = streamConfig;
                     }
-                };
+                    this.addNamedConfiguration(config[key], v.name, streamConfig);
+                });
             }
+        });
+
+        // The first function and table are the Default - every one is also available by its name
+        const lambdaFunctions = this.getLambdaFunctions(resources, fileDetails);
+        if (lambdaFunctions.length > 0) {
+            config.LambdaInvoker = {};
+            lambdaFunctions.forEach((v, i) => {
+                const functionConfig = {
+                    FunctionName: v.functionName,
+                    FunctionArn: v.arn,
+                    Region: v.region
+                };
+                if (i === 0) {
+                    config.LambdaInvoker.Default = functionConfig;
+                }
+                this.addNamedConfiguration(config.LambdaInvoker, v.name, functionConfig);
+            });
+        }
+        const tables = this.getDynamoDBTables(resources, fileDetails);
+        if (tables.length > 0) {
+            config.DynamoDBObjectMapper = {};
+            tables.forEach((v, i) => {
+                const tableConfig = {
+                    TableName: v.table,
+                    Region: v.region
+                };
+                if (i === 0) {
+                    config.DynamoDBObjectMapper.Default = tableConfig;
+                }
+                this.addNamedConfiguration(config.DynamoDBObjectMapper, v.name, tableConfig);
+            });
         }
 
-        let apigw = resources.filter(r => r.ResourceType === 'AWS::ApiGateway::RestApi');
+        let apigw = this.getApiGatewayEndpoints(resources, fileDetails);
         if (apigw.length > 0) {
             let apiRecords = {};
             apigw.forEach((v) => {
-                apiRecords[v.LogicalResourceId] = {
-                    Endpoint: `https://${v.PhysicalResourceId}.execute-api.${this.provider.getRegion()}.amazonaws.com/${this.provider.getStage()}`,
-                    Region: this.provider.getRegion()
-                };
+                this.addNamedConfiguration(apiRecords, v.name, {
+                    Endpoint: v.endpoint,
+                    Region: v.region
+                });
             });
             config.APIGateway = apiRecords;
         }
 
-        this.writeConfigurationFile(fileDetails.filename, JSON.stringify(config, null, 2));
+        return config;
+    }
+
+    /**
+     * Adds the configuration of a resource to a section of a configuration file by
+     * name.  Resources from the service stack are listed first, so a resource from
+     * another stack with the same name is skipped rather than replacing it.
+     *
+     * @param {Object} section the section of the configuration, e.g. LambdaInvoker
+     * @param {String} name the name of the resource
+     * @param {Object} value the configuration of the resource
+     */
+    addNamedConfiguration(section, name, value) {
+        if (section.hasOwnProperty(name)) {
+            this.log('debug', `Skipping ${name} - a resource with the same name is already configured`);
+            return;
+        }
+        section[name] = value;
     }
 
     /**
@@ -371,6 +2505,20 @@ class ServerlessAmplifyPlugin {
                 if (appClient.metadata.UserPoolClient.hasOwnProperty('ClientSecret')) {
                     config.aws_user_pools_web_client_secret = appClient.metadata.UserPoolClient.ClientSecret;
                 }
+
+                const oauth = this.getOAuthConfiguration(resources, appClient, fileDetails);
+                if (typeof oauth !== 'undefined') {
+                    config.oauth = {
+                        domain: oauth.domain,
+                        scope: oauth.scopes,
+                        redirectSignIn: oauth.redirectSignIn,
+                        redirectSignOut: oauth.redirectSignOut,
+                        responseType: oauth.responseType
+                    };
+                    if (typeof oauth.redirectSignOut === 'undefined') {
+                        delete config.oauth.redirectSignOut;
+                    }
+                }
             } else {
                 throw new Error(`Invalid appClient specified: ${fileDetails.appClient}`);
             }
@@ -389,59 +2537,98 @@ class ServerlessAmplifyPlugin {
             }
             config.aws_cognito_identity_pool_id = identityPool.PhysicalResourceId;
 
-            if (typeof identityPool.metadata.SupportedLoginProviders == 'object') {
-                const providers = identityPool.metadata.SupportedLoginProviders;
-                const federated = {};
-                let hasFederated = false;
-
-                // Each authentication provider that is supported for federation  has an entry in
-                // the SupportedLoginProviders that is a "magic" domain - constant for each provider.
-                // Once you know the provider domain, you can easily add new provider support.
-                if ('accounts.google.com' in providers) {
-                    federated.google_client_id = providers['accounts.google.com'];
-                    hasFederated = true;
-                }
+            const federated = {};
+            this.getFederatedProviders(identityPool, fileDetails).filter(p => p.mapping.javascript).forEach((p) => {
+                federated[p.mapping.javascript] = p.id;
+            });
 
-                if ('graph.facebook.com' in providers) {
-                    federated.facebook_app_id = providers['graph.facebook.com'];
-                    hasFederated = true;
-                }
+            if (Array.isArray(identityPool.metadata.OpenIdConnectProviderARNs) && identityPool.metadata.OpenIdConnectProviderARNs.length > 0) {
+                federated.openid_connect_provider_arns = identityPool.metadata.OpenIdConnectProviderARNs;
+            }
 
-                if ('www.amazon.com' in providers) {
-                    federated.amazon_client_id = providers['www.amazon.com'];
-                    hasFederated = true;
-                }
+            if (Array.isArray(identityPool.metadata.SamlProviderARNs) && identityPool.metadata.SamlProviderARNs.length > 0) {
+                federated.saml_provider_arns = identityPool.metadata.SamlProviderARNs;
+            }
 
-                if (hasFederated) {
-                    config.federated = federated;
-                }
+            if (Object.keys(federated).length > 0) {
+                config.federated = federated;
             }
         }
 
-        const appSync = resources.find(r => r.ResourceType === 'AWS::AppSync::GraphQLApi');
+        const appSync = this.getAppSyncApi(resources, fileDetails);
         if (typeof appSync !== 'undefined') {
             config.aws_appsync_graphqlEndpoint = appSync.metadata.graphqlApi.uris.GRAPHQL;
             config.aws_appsync_region = appSync.metadata.graphqlApi.arn.split(':')[3];
             config.aws_appsync_authenticationType = appSync.metadata.graphqlApi.authenticationType;
+
+            const apiKey = this.getAppSyncApiKey(resources, appSync, fileDetails);
+            if (typeof apiKey !== 'undefined') {
+                config.aws_appsync_apiKey = apiKey;
+            }
+
+            const additionalAuthenticationTypes = this.getAppSyncAuthenticationTypes(appSync).slice(1);
+            if (additionalAuthenticationTypes.length > 0) {
+                config.aws_appsync_additionalAuthenticationTypes = additionalAuthenticationTypes;
+            }
         }
 
-        let s3buckets = resources.filter(r => r.ResourceType === 'AWS::S3::Bucket' && r.LogicalResourceId !== 'ServerlessDeploymentBucket');
+        let s3buckets = this.getStorageBuckets(resources, fileDetails);
         if (s3buckets.length > 0) {
-            let userFiles = fileDetails.hasOwnProperty('s3bucket') ? s3buckets.find(r => r.LogicalResourceId === fileDetails.s3bucket) : s3buckets[0];
-            if (typeof userFiles !== 'undefined') {
-                config.aws_user_files_s3_bucket = userFiles.PhysicalResourceId;
-                config.aws_user_files_s3_bucket_region = this.provider.getRegion();
-            }
+            const userFiles = s3buckets.find(v => v.isDefault);
+            config.aws_user_files_s3_bucket = userFiles.bucket;
+            config.aws_user_files_s3_bucket_region = userFiles.region;
+            config.aws_user_files_s3_buckets = s3buckets.map((v) => {
+                let bucketConfig = {
+                    name: v.name,
+                    bucket: v.bucket,
+                    region: v.region
+                };
+                if (v.hasOwnProperty('cloudFrontDomain')) {
+                    bucketConfig.cloudfront_domain = v.cloudFrontDomain;
+                }
+                return bucketConfig;
+            });
+        }
+
+        const pinpointApp = this.getPinpointApp(resources, fileDetails);
+        if (typeof pinpointApp !== 'undefined') {
+            config.aws_mobile_analytics_app_id = pinpointApp.PhysicalResourceId;
+            config.aws_mobile_analytics_app_region = this.getResourceRegion(pinpointApp);
+        }
+
+        // The Kinesis providers are configured with a region - the stream is named when each record is sent
+        const analytics = {};
+        const kinesisStreams = this.getKinesisStreams(resources, 'AWS::Kinesis::Stream');
+        if (kinesisStreams.length > 0) {
+            analytics.AWSKinesis = { region: kinesisStreams[0].region };
+            config.aws_kinesis_streams = kinesisStreams.map(v => ({ name: v.name, stream_name: v.stream, region: v.region }));
+        }
+        const firehoseStreams = this.getKinesisStreams(resources, 'AWS::KinesisFirehose::DeliveryStream');
+        if (firehoseStreams.length > 0) {
+            analytics.AWSKinesisFirehose = { region: firehoseStreams[0].region };
+            config.aws_kinesis_firehose_streams = firehoseStreams.map(v => ({ name: v.name, stream_name: v.stream, region: v.region }));
+        }
+        if (Object.keys(analytics).length > 0) {
+            config.Analytics = analytics;
+        }
+
+        const lambdaFunctions = this.getLambdaFunctions(resources, fileDetails);
+        if (lambdaFunctions.length > 0) {
+            config.aws_lambda_functions = lambdaFunctions.map(v => ({ name: v.name, function_name: v.functionName, arn: v.arn, region: v.region }));
+        }
+        const tables = this.getDynamoDBTables(resources, fileDetails);
+        if (tables.length > 0) {
+            config.aws_dynamodb_tables = tables.map(v => ({ name: v.name, table_name: v.table, region: v.region }));
         }
 
-        let apigw = resources.filter(r => r.ResourceType === 'AWS::ApiGateway::RestApi');
+        let apigw = this.getApiGatewayEndpoints(resources, fileDetails);
         if (apigw.length > 0) {
             let apiRecords = [];
             apigw.forEach((v) => {
                 apiRecords.push({
-                    endpoint: `https://${v.PhysicalResourceId}.execute-api.${this.provider.getRegion()}.amazonaws.com/${this.provider.getStage()}`,
-                    name: v.LogicalResourceId,
-                    region: this.provider.getRegion()
+                    endpoint: v.endpoint,
+                    name: v.name,
+                    region: v.region
                 });
             });
             config.aws_cloud_logic_custom = apiRecords;
@@ -456,34 +2643,213 @@ class ServerlessAmplifyPlugin {
      * @param {Resource[]} resources the resources with meta-data
      * @param {FileDetails} fileDetails the file details
      */
-    writeJavaScriptConfiguration(resources, fileDetails) {
+    async writeJavaScriptConfiguration(resources, fileDetails) {
         let config = this.getJavaScriptConfiguration(resources, fileDetails);
-        let config_header = [
-            '// WARNING: DO NOT EDIT.  This file is automatically generated',
-            `// Written by ${this.useragent} on ${new Date().toISOString()}`,
-            ''
-        ].join("\n");
-        let config_body = `const awsmobile = ${stringify(config, { pretty: true, space: 4 })};`;
+        const secrets = this.applySecretPolicy(config, resources, fileDetails, name => `${SECRET_MARKER}${name}`);
+        if (fileDetails.hasOwnProperty('secretsFile')) {
+            await this.writeSecretsFile(fileDetails, secrets, 'javascript');
+        }
+        let config_header = this.getJavaScriptHeader(fileDetails, 'javascript').join("\n");
+        let config_body = `const awsmobile = ${this.getJavaScriptSource(config, fileDetails, 'javascript')};`;
         let config_footer = "\nexport default awsmobile;\n"
-        this.writeConfigurationFile(fileDetails.filename, [config_header, config_body, config_footer].join('\n'));
+        return this.writeConfigurationFile(fileDetails.filename, [config_header, config_body, config_footer].join('\n'));
     }
 
     /**
-     * Writes out a TypeScript 'aws-exports.ts' file
+     * Writes out a CommonJS 'aws-exports.js' file, for consumers that cannot
+     * import an ES module.
      *
      * @param {Resource[]} resources the resources with meta-data
      * @param {FileDetails} fileDetails the file details
      */
-    writeTypeScriptConfiguration(resources, fileDetails) {
+    async writeCommonJSConfiguration(resources, fileDetails) {
         let config = this.getJavaScriptConfiguration(resources, fileDetails);
-        let config_header = [
+        const secrets = this.applySecretPolicy(config, resources, fileDetails, name => `${SECRET_MARKER}${name}`);
+        if (fileDetails.hasOwnProperty('secretsFile')) {
+            await this.writeSecretsFile(fileDetails, secrets, 'commonjs');
+        }
+        let config_header = this.getJavaScriptHeader(fileDetails, 'commonjs').join("\n");
+        let config_body = `const awsmobile = ${this.getJavaScriptSource(config, fileDetails, 'commonjs')};`;
+        let config_footer = "\nmodule.exports = awsmobile;\n"
+        return this.writeConfigurationFile(fileDetails.filename, [config_header, config_body, config_footer].join('\n'));
+    }
+
+    /**
+     * Writes out the configuration for this stage to a file named after the stage
+     * (aws-exports.dev.js for aws-exports.js), then writes an index to the filename
+     * that selects between this stage and the stages listed in the existing index.  The stage is chosen
+     * at build time by an environment variable - AMPLIFY_STAGE unless the
+     * stageVariable option is given - falling back to the defaultStage option, or
+     * the first stage.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Promise<String>} resolves to 'written', 'unchanged' or 'dry-run'
+     */
+    async writeMergedStagesConfiguration(resources, fileDetails) {
+        const format = fileDetails.type.toLowerCase();
+        const directory = path.dirname(fileDetails.filename);
+        const extension = path.extname(fileDetails.filename);
+        const basename = path.basename(fileDetails.filename, extension);
+        const stageFile = path.join(directory, `${basename}.${this.stage}${extension}`);
+
+        let results = [];
+        results.push(await this.writeConfigurationEntry(resources, Object.assign({}, fileDetails, { filename: stageFile, mergeStages: false })));
+
+        // The existing index lists the stages written so far - this stage may not have been written in a dry run
+        const stageFileName = stage => path.join(directory, `${basename}.${stage}${extension}`);
+        let stages = this.getMergedStages(fileDetails.filename).filter(stage => fs.existsSync(stageFileName(stage)));
+        if (!stages.includes(this.stage)) {
+            stages.push(this.stage);
+        }
+        stages.sort();
+
+        const stageVariable = fileDetails.stageVariable || 'AMPLIFY_STAGE';
+        const defaultStage = fileDetails.defaultStage || stages[0];
+        if (!stages.includes(defaultStage)) {
+            this.log('warn', `The default stage ${defaultStage} of ${fileDetails.filename} has not been deployed - ${stageVariable} must be set until it is`);
+        }
+        const imports = stages.map((stage, index) => format === 'commonjs'
+            ? `const stage${index} = require('./${basename}.${stage}');`
+            : `import stage${index} from './${basename}.${stage}';`);
+        const contents = [
             '// WARNING: DO NOT EDIT.  This file is automatically generated',
             `// Written by ${this.useragent} on ${new Date().toISOString()}`,
+            `${STAGES_MARKER}${stages.join(', ')}`,
+            ...imports,
+            '',
+            `const stages${format === 'typescript' ? ': { [stage: string]: typeof stage0 }' : ''} = {`,
+            stages.map((stage, index) => `    '${stage}': stage${index}`).join(',\n'),
+            '};',
+            '',
+            `const stage = process.env.${stageVariable} || '${defaultStage}';`,
+            'if (!stages.hasOwnProperty(stage)) {',
+            '    throw new Error(`No AWS configuration for stage ${stage}`);',
+            '}',
+            'const awsmobile = stages[stage];',
             '',
+            format === 'commonjs' ? 'module.exports = awsmobile;' : 'export default awsmobile;',
+            ''
+        ].join('\n');
+        results.push(await this.writeConfigurationFile(fileDetails.filename, contents));
+        return combineWriteResults(results);
+    }
+
+    /**
+     * Returns the stages listed in an existing merged stages index.
+     *
+     * @param {String} filename the name of the index
+     * @returns {String[]} the stages, or an empty list if there is no index
+     */
+    getMergedStages(filename) {
+        if (!fs.existsSync(filename)) {
+            return [];
+        }
+        const marker = fs.readFileSync(filename, 'utf8').split('\n').find(line => line.startsWith(STAGES_MARKER));
+        return typeof marker === 'undefined'
+            ? []
+            : marker.slice(STAGES_MARKER.length).split(',').map(stage => stage.trim()).filter(stage => stage.length > 0);
+    }
+
+    /**
+     * Writes out a '.env' file with one variable for each value in the JavaScript
+     * configuration.  Variable names are upper case, with the prefix option in
+     * front (e.g. NEXT_PUBLIC_ or VITE_).  Lists and objects are written as JSON.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     */
+    async writeDotEnvConfiguration(resources, fileDetails) {
+        const config = this.getJavaScriptConfiguration(resources, fileDetails);
+        const secrets = this.applySecretPolicy(config, resources, fileDetails, name => `\${${name}}`);
+        if (fileDetails.hasOwnProperty('secretsFile')) {
+            await this.writeSecretsFile(fileDetails, secrets, 'dotenv');
+        }
+        const prefix = fileDetails.prefix || '';
+        let lines = [
+            '# WARNING: DO NOT EDIT.  This file is automatically generated',
+            `# Written by ${this.useragent} on ${new Date().toISOString()}`
+        ];
+        Object.keys(config).sort().forEach((key) => {
+            const value = typeof config[key] === 'object' ? `'${JSON.stringify(config[key])}'` : config[key];
+            lines.push(`${prefix}${key.toUpperCase()}=${value}`);
+        });
+        return this.writeConfigurationFile(fileDetails.filename, lines.join('\n') + '\n');
+    }
+
+    /**
+     * Writes out a file rendered from the template given by the template option.
+     * Templates ending in .ejs are rendered with EJS, which must be installed in
+     * the service - any other template is rendered with Handlebars.
+     *
+     * The template receives the JavaScript configuration as config, the described
+     * resources as resources, plus the service, stage, region and useragent.  The
+     * secrets policy applies to both the configuration and the resources.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     */
+    writeTemplateConfiguration(resources, fileDetails) {
+        const source = fs.readFileSync(fileDetails.template, 'utf8');
+        const config = this.getJavaScriptConfiguration(resources, fileDetails);
+        this.applySecretPolicy(config, resources, fileDetails, name => `\${${name}}`);
+        const context = {
+            config: config,
+            resources: this.redactResources(resources, fileDetails),
+            service: this.serverless.service.service,
+            stage: this.stage,
+            region: this.provider.getRegion(),
+            useragent: this.useragent
+        };
+
+        let contents;
+        if (path.extname(fileDetails.template) === '.ejs') {
+            let ejs;
+            try {
+                ejs = require('ejs');
+            } catch (error) {
+                throw new Error(`Cannot render ${fileDetails.template}: install the ejs package to use EJS templates`);
+            }
+            contents = ejs.render(source, context, { filename: path.resolve(fileDetails.template) });
+        } else {
+            // The output is not HTML, so nothing is escaped - the json helper writes a value as JSON
+            const engine = handlebars.create();
+            engine.registerHelper('json', value => JSON.stringify(value, null, 4));
+            contents = engine.compile(source, { noEscape: true })(context);
+        }
+        return this.writeConfigurationFile(fileDetails.filename, contents);
+    }
+
+    /**
+     * Writes out a TypeScript 'aws-exports.ts' file
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     */
+    async writeTypeScriptConfiguration(resources, fileDetails) {
+        let config = this.getJavaScriptConfiguration(resources, fileDetails);
+        const secrets = this.applySecretPolicy(config, resources, fileDetails, name => `${SECRET_MARKER}${name}`);
+        if (fileDetails.hasOwnProperty('secretsFile')) {
+            await this.writeSecretsFile(fileDetails, secrets, 'typescript');
+        }
+        let config_header = this.getJavaScriptHeader(fileDetails, 'typescript').concat([
             'interface IAWSAmplifyFederatedConfiguration {',
             '    google_client_id?: string;',
             '    facebook_app_id?: string;',
             '    amazon_client_id?: string;',
+            '    apple_client_id?: string;',
+            '    twitter_consumer_key?: string;',
+            '    openid_connect_provider_arns?: string[];',
+            '    saml_provider_arns?: string[];',
+            '    [key: string]: string | string[] | undefined;',
+            '}',
+            '',
+            'interface IAWSAmplifyOAuthConfiguration {',
+            '    domain: string;',
+            '    scope: string[];',
+            '    redirectSignIn: string;',
+            '    redirectSignOut?: string;',
+            '    responseType: string;',
             '}',
             '',
             'interface IAWSAmplifyCloudLogicConfiguration {',
@@ -492,26 +2858,256 @@ class ServerlessAmplifyPlugin {
             '    region: string;',
             '}',
             '',
+            'interface IAWSAmplifyStorageConfiguration {',
+            '    name: string;',
+            '    bucket: string;',
+            '    region: string;',
+            '    cloudfront_domain?: string;',
+            '}',
+            '',
+            'interface IAWSAmplifyKinesisConfiguration {',
+            '    name: string;',
+            '    stream_name: string;',
+            '    region: string;',
+            '}',
+            '',
+            'interface IAWSAmplifyLambdaConfiguration {',
+            '    name: string;',
+            '    function_name: string;',
+            '    arn: string;',
+            '    region: string;',
+            '}',
+            '',
+            'interface IAWSAmplifyDynamoDBConfiguration {',
+            '    name: string;',
+            '    table_name: string;',
+            '    region: string;',
+            '}',
+            '',
+            'interface IAWSAmplifyAnalyticsConfiguration {',
+            '    AWSKinesis?: { region: string; };',
+            '    AWSKinesisFirehose?: { region: string; };',
+            '}',
+            '',
             'interface IAWSAmplifyConfiguration {',
+            '    Analytics?: IAWSAmplifyAnalyticsConfiguration;',
+            '    aws_appsync_additionalAuthenticationTypes?: string[];',
+            '    aws_appsync_apiKey?: string;',
             '    aws_appsync_authenticationType?: string;',
             '    aws_appsync_graphqlEndpoint?: string;',
             '    aws_appsync_region?: string;',
             '    aws_cognito_identity_pool_id?: string;',
             '    aws_cognito_region?: string;',
             '    aws_cloud_logic_custom?: IAWSAmplifyCloudLogicConfiguration[];',
+            '    aws_dynamodb_tables?: IAWSAmplifyDynamoDBConfiguration[];',
+            '    aws_kinesis_firehose_streams?: IAWSAmplifyKinesisConfiguration[];',
+            '    aws_kinesis_streams?: IAWSAmplifyKinesisConfiguration[];',
+            '    aws_lambda_functions?: IAWSAmplifyLambdaConfiguration[];',
+            '    aws_mobile_analytics_app_id?: string;',
+            '    aws_mobile_analytics_app_region?: string;',
             '    aws_project_region: string;',
             '    aws_user_files_s3_bucket?: string;',
             '    aws_user_files_s3_bucket_region?: string;',
+            '    aws_user_files_s3_buckets?: IAWSAmplifyStorageConfiguration[];',
             '    aws_user_pools_id?: string;',
             '    aws_user_pools_web_client_id?: string;',
             '    aws_user_pools_web_client_secret?: string;',
             '    federated?: IAWSAmplifyFederatedConfiguration;',
+            '    oauth?: IAWSAmplifyOAuthConfiguration;',
             '}',
             ''
-        ].join("\n");
-        let config_body = `const awsmobile: IAWSAmplifyConfiguration = ${stringify(config, { pretty: true, space: 4 })};`;
+        ]).join("\n");
+        let config_body = `const awsmobile: IAWSAmplifyConfiguration = ${this.getJavaScriptSource(config, fileDetails, 'typescript')};`;
         let config_footer = "\nexport default awsmobile;\n"
-        this.writeConfigurationFile(fileDetails.filename, [config_header, config_body, config_footer].join('\n'));
+        return this.writeConfigurationFile(fileDetails.filename, [config_header, config_body, config_footer].join('\n'));
+    }
+
+    /**
+     * Writes out an Amplify 'amplifyconfiguration.json' file, as used by the
+     * Amplify Android, iOS and Flutter libraries.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     */
+    writeAmplifyConfiguration(resources, fileDetails) {
+        const config = this.getAmplifyConfiguration(resources, fileDetails);
+        return this.writeJSONConfiguration(config, resources, fileDetails);
+    }
+
+    /**
+     * Generates the contents of an 'amplifyconfiguration.json' file.  This is
+     * organized by category, then by plugin.  The auth plugin embeds the native
+     * configuration.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Object} the Amplify configuration
+     */
+    getAmplifyConfiguration(resources, fileDetails) {
+        const native = this.getNativeConfiguration(resources, fileDetails);
+        let config = {
+            'UserAgent': this.useragent,
+            'Version': '1.0'
+        };
+
+        const authPlugin = Object.assign({ IdentityManager: { Default: {} } }, native);
+        if (authPlugin.hasOwnProperty('CognitoUserPool') || authPlugin.hasOwnProperty('CredentialsProvider')) {
+            config.auth = { plugins: { awsCognitoAuthPlugin: authPlugin } };
+        }
+
+        let apiPlugin = {};
+        Object.keys(native.AppSync || {}).filter(k => k !== 'Default').forEach((k) => {
+            const appSync = native.AppSync[k];
+            apiPlugin[k] = {
+                endpointType: 'GraphQL',
+                endpoint: appSync.ApiUrl,
+                region: appSync.Region,
+                authorizationType: appSync.AuthMode
+            };
+            if (appSync.hasOwnProperty('ApiKey')) {
+                apiPlugin[k].apiKey = appSync.ApiKey;
+            }
+        });
+        // The API plugin does not support WebSocket APIs
+        Object.keys(native.APIGateway || {}).filter(k => !native.APIGateway[k].Endpoint.startsWith('wss:')).forEach((k) => {
+            apiPlugin[k] = {
+                endpointType: 'REST',
+                endpoint: native.APIGateway[k].Endpoint,
+                region: native.APIGateway[k].Region,
+                authorizationType: 'AWS_IAM'
+            };
+        });
+        if (Object.keys(apiPlugin).length > 0) {
+            config.api = { plugins: { awsAPIPlugin: apiPlugin } };
+        }
+
+        if (native.hasOwnProperty('PinpointAnalytics')) {
+            config.analytics = {
+                plugins: {
+                    awsPinpointAnalyticsPlugin: {
+                        pinpointAnalytics: {
+                            appId: native.PinpointAnalytics.Default.AppId,
+                            region: native.PinpointAnalytics.Default.Region
+                        },
+                        pinpointTargeting: {
+                            region: native.PinpointTargeting.Default.Region
+                        }
+                    }
+                }
+            };
+        }
+
+        if (native.hasOwnProperty('S3TransferUtility')) {
+            config.storage = {
+                plugins: {
+                    awsS3StoragePlugin: {
+                        bucket: native.S3TransferUtility.Default.Bucket,
+                        region: native.S3TransferUtility.Default.Region,
+                        defaultAccessLevel: fileDetails.defaultAccessLevel || 'guest'
+                    }
+                }
+            };
+        }
+
+        return config;
+    }
+
+    /**
+     * Writes out an Amplify 'amplify_outputs.json' file, the unified format used
+     * by the current Amplify libraries on all platforms.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     */
+    writeAmplifyOutputs(resources, fileDetails) {
+        const config = this.getAmplifyOutputs(resources, fileDetails);
+        return this.writeJSONConfiguration(config, resources, fileDetails);
+    }
+
+    /**
+     * Generates the contents of an 'amplify_outputs.json' file from the
+     * JavaScript configuration.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Object} the Amplify outputs
+     */
+    getAmplifyOutputs(resources, fileDetails) {
+        const js = this.getJavaScriptConfiguration(resources, fileDetails);
+        let config = {
+            version: '1'
+        };
+
+        if (js.hasOwnProperty('aws_user_pools_id') || js.hasOwnProperty('aws_cognito_identity_pool_id')) {
+            config.auth = {
+                aws_region: js.aws_cognito_region
+            };
+            if (js.hasOwnProperty('aws_user_pools_id')) {
+                config.auth.user_pool_id = js.aws_user_pools_id;
+                config.auth.user_pool_client_id = js.aws_user_pools_web_client_id;
+            }
+            if (js.hasOwnProperty('aws_cognito_identity_pool_id')) {
+                const identityPool = resources.find(r => r.ResourceType === 'AWS::Cognito::IdentityPool' && r.PhysicalResourceId === js.aws_cognito_identity_pool_id);
+                config.auth.identity_pool_id = js.aws_cognito_identity_pool_id;
+                config.auth.unauthenticated_identities_enabled = identityPool.metadata.AllowUnauthenticatedIdentities === true;
+            }
+            if (js.hasOwnProperty('oauth')) {
+                const appClient = resources.find(r => r.ResourceType === 'AWS::Cognito::UserPoolClient' && r.LogicalResourceId === fileDetails.appClient);
+                const oauth = this.getOAuthConfiguration(resources, appClient, fileDetails);
+                config.auth.oauth = {
+                    identity_providers: oauth.identityProviders.filter(p => AMPLIFY_OUTPUTS_IDENTITY_PROVIDERS.hasOwnProperty(p)).map(p => AMPLIFY_OUTPUTS_IDENTITY_PROVIDERS[p]),
+                    domain: oauth.domain,
+                    scopes: oauth.scopes,
+                    redirect_sign_in_uri: [ oauth.redirectSignIn ],
+                    redirect_sign_out_uri: typeof oauth.redirectSignOut === 'undefined' ? [] : [ oauth.redirectSignOut ],
+                    response_type: oauth.responseType
+                };
+            }
+        }
+
+        if (js.hasOwnProperty('aws_appsync_graphqlEndpoint')) {
+            config.data = {
+                url: js.aws_appsync_graphqlEndpoint,
+                aws_region: js.aws_appsync_region,
+                default_authorization_type: js.aws_appsync_authenticationType,
+                authorization_types: js.aws_appsync_additionalAuthenticationTypes || []
+            };
+            if (js.hasOwnProperty('aws_appsync_apiKey')) {
+                config.data.api_key = js.aws_appsync_apiKey;
+            }
+        }
+
+        if (js.hasOwnProperty('aws_mobile_analytics_app_id')) {
+            config.analytics = {
+                amazon_pinpoint: {
+                    aws_region: js.aws_mobile_analytics_app_region,
+                    app_id: js.aws_mobile_analytics_app_id
+                }
+            };
+        }
+
+        if (js.hasOwnProperty('aws_user_files_s3_bucket')) {
+            config.storage = {
+                aws_region: js.aws_user_files_s3_bucket_region,
+                bucket_name: js.aws_user_files_s3_bucket,
+                buckets: js.aws_user_files_s3_buckets.map(v => ({ name: v.name, bucket_name: v.bucket, aws_region: v.region }))
+            };
+        }
+
+        // REST APIs do not have a category in this format, so they are added as custom outputs
+        if (js.hasOwnProperty('aws_cloud_logic_custom')) {
+            let apiRecords = {};
+            js.aws_cloud_logic_custom.forEach((v) => {
+                this.addNamedConfiguration(apiRecords, v.name, {
+                    endpoint: v.endpoint,
+                    region: v.region,
+                    apiName: v.name
+                });
+            });
+            config.custom = { API: apiRecords };
+        }
+
+        return config;
     }
 
     /**
@@ -521,70 +3117,208 @@ class ServerlessAmplifyPlugin {
      * @param {FileDetails} fileDetails the file details
      */
     writeSchemaJSONConfiguration(resources, fileDetails) {
-        // In Resources, find the AppSync GraphQL API and write the resource.schema out to a file
-        const resource = resources.find(r => r.ResourceType === 'AWS::AppSync::GraphQLApi');
-        if (resource) {
-            this.writeConfigurationFile(fileDetails.filename, JSON.stringify(resource.schema, null, 2));
+        // In Resources, find the selected AppSync GraphQL API and write the resource.schema out to a file
+        const resource = this.getAppSyncApi(resources, fileDetails);
+        if (resource && !resource.schema) {
+            throw new Error('The GraphQL schema is not available offline - cannot write schema.json file');
+        } else if (resource) {
+            this.checkSchemaChanges(resource, fileDetails);
+            return this.writeConfigurationFile(fileDetails.filename, JSON.stringify(resource.schema, null, 2));
         } else {
             throw new Error('No GraphQL API found - cannot write schema.json file');
         }
     }
 
     /**
-     * Writes out an 'operations.graphql' file of sample operations
+     * Writes out a 'schema.graphql' file, with the schema in the GraphQL schema
+     * definition language.
      *
      * @param {Resource[]} resources the resources with meta-data
      * @param {FileDetails} fileDetails the file details
      */
-    writeGraphQLOperations(resources, fileDetails) {
-        const resource = resources.find(r => r.ResourceType === 'AWS::AppSync::GraphQLApi');
-        if (resource) {
-            const schemaFile = this.getTemporarySchemaFile(resource);
-            graphqlGenerator(schemaFile, fileDetails.filename, { language: 'graphql' });
+    writeSchemaSDLConfiguration(resources, fileDetails) {
+        const resource = this.getAppSyncApi(resources, fileDetails);
+        if (resource && !resource.schema) {
+            throw new Error('The GraphQL schema is not available offline - cannot write schema.graphql file');
+        } else if (resource) {
+            this.checkSchemaChanges(resource, fileDetails);
+            return this.writeConfigurationFile(fileDetails.filename, graphql.printSchema(graphql.buildClientSchema(resource.schema.data || resource.schema)));
         } else {
+            throw new Error('No GraphQL API found - cannot write schema.graphql file');
+        }
+    }
+
+    /**
+     * Compares the deployed schema with the previous schema in the file being
+     * replaced, and reports any changes that break existing clients - such as
+     * removed fields or changed argument types.  If the breakingChanges option is
+     * 'fail', the file is not written and an error is thrown instead.
+     *
+     * @param {Resource} resource the GraphQL API resource
+     * @param {FileDetails} fileDetails the file details
+     */
+    checkSchemaChanges(resource, fileDetails) {
+        if (!fs.existsSync(fileDetails.filename)) {
+            return;
+        }
+
+        let previousSchema;
+        try {
+            const previous = fs.readFileSync(fileDetails.filename, 'utf8');
+            if (fileDetails.type.toLowerCase() === 'schema.json') {
+                const introspection = JSON.parse(previous);
+                previousSchema = graphql.buildClientSchema(introspection.data || introspection);
+            } else {
+                previousSchema = graphql.buildSchema(previous);
+            }
+        } catch (error) {
+            this.log('warn', `Cannot read the previous schema in ${fileDetails.filename} - not checking for breaking changes: ${error.message}`);
+            return;
+        }
+
+        const schema = graphql.buildClientSchema(resource.schema.data || resource.schema);
+        graphql.findDangerousChanges(previousSchema, schema).forEach((change) => {
+            this.log('info', `Schema change in ${fileDetails.filename}: ${change.description}`);
+        });
+        const breakingChanges = graphql.findBreakingChanges(previousSchema, schema);
+        if (breakingChanges.length === 0) {
+            return;
+        }
+
+        const changes = breakingChanges.map(change => `  - ${change.description}`).join('\n');
+        if (fileDetails.breakingChanges === 'fail') {
+            throw new Error(`The schema has ${breakingChanges.length} breaking change(s) that may break existing clients:\n${changes}`);
+        }
+        this.log('warn', `The schema in ${fileDetails.filename} has ${breakingChanges.length} breaking change(s) that may break existing clients:\n${changes}`);
+    }
+
+    /**
+     * Writes out an 'operations.graphql' file of sample operations.  The language
+     * option selects GraphQL, or JavaScript, TypeScript or Flow modules of the
+     * operations.  If the separateFiles option is specified, the filename is a
+     * directory, and the queries, mutations and subscriptions are each written to
+     * their own file within it.
+     *
+     * @param {Resource[]} resources the resources with meta-data
+     * @param {FileDetails} fileDetails the file details
+     * @returns {Promise<String>} resolves to 'written', 'unchanged' or 'dry-run'
+     */
+    async writeGraphQLOperations(resources, fileDetails) {
+        const resource = this.getAppSyncApi(resources, fileDetails);
+        if (!resource) {
             throw new Error(`No GraphQL API found - cannot write ${fileDetails.filename} file`);
         }
+
+        const language = fileDetails.language || 'graphql';
+        const options = { language: language, maxDepth: fileDetails.maxDepth, separateFiles: fileDetails.separateFiles === true };
+        const directory = this.getTemporaryDirectory();
+        try {
+            const schemaFile = this.getTemporarySchemaFile(resource, directory);
+            if (!options.separateFiles) {
+                const outputFile = path.resolve(directory, path.basename(fileDetails.filename));
+                graphqlGenerator(schemaFile, outputFile, options);
+                return await this.writeConfigurationFile(fileDetails.filename, fs.existsSync(outputFile) ? fs.readFileSync(outputFile, 'utf8') : '');
+            }
+
+            // Operation types the schema does not have are not written
+            const outputDirectory = path.resolve(directory, 'operations');
+            fs.mkdirSync(outputDirectory);
+            graphqlGenerator(schemaFile, outputDirectory, options);
+            let results = [];
+            for (let operationType of GRAPHQL_OPERATION_TYPES) {
+                const outputFile = path.join(outputDirectory, `${operationType}.${GRAPHQL_LANGUAGES[language]}`);
+                if (fs.existsSync(outputFile)) {
+                    results.push(await this.writeConfigurationFile(path.join(fileDetails.filename, path.basename(outputFile)), fs.readFileSync(outputFile, 'utf8')));
+                }
+            }
+            return combineWriteResults(results);
+        } finally {
+            removeDirectory(directory);
+        }
     }
 
     /**
-     * Writes out an 'API.swift' file of sample operations
+     * Writes out an 'API.swift' file of sample operations.  If the documents option
+     * is specified, the code is generated from those GraphQL documents instead.
      *
      * @param {Resource[]} resources the resources with meta-data
      * @param {FileDetails} fileDetails the file details
+     * @returns {Promise<String>} resolves to 'written', 'unchanged' or 'dry-run'
      */
-    writeAppSyncAPI(resources, fileDetails) {
-        const resource = resources.find(r => r.ResourceType === 'AWS::AppSync::GraphQLApi');
-        if (resource) {
-            const schemaFile = path.resolve(this.getTemporarySchemaFile(resource));
-            const graphqlFile = path.resolve(this.getTemporaryOperationsFile(resource, schemaFile));
+    async writeAppSyncAPI(resources, fileDetails) {
+        const resource = this.getAppSyncApi(resources, fileDetails);
+        if (!resource) {
+            throw new Error(`No GraphQL API found - cannot write ${fileDetails.filename} file`);
+        }
+
+        const directory = this.getTemporaryDirectory();
+        try {
+            const schemaFile = this.getTemporarySchemaFile(resource, directory);
+            const graphqlFiles = this.getTemporaryOperationsFiles(schemaFile, directory, fileDetails);
+            const outputFile = path.resolve(directory, path.basename(fileDetails.filename));
             const fileType = path.extname(fileDetails.filename).substr(1);
             apiGenerator.generate(
-                [ graphqlFile ],        /* List of GraphQL Operations */
+                graphqlFiles,           /* List of GraphQL Operations */
                 schemaFile,             /* Schema.json file */
-                fileDetails.filename,   /* Output File */
+                outputFile,             /* Output File */
                 '',                     /* Only generate types */
                 fileType,                /* Target Type */
                 '',                     /* Tagname */
                 '',                     /* Project Name */
                 { addTypename: true }   /* Options */
             );
-        } else {
-            throw new Error(`No GraphQL API found - cannot write ${fileDetails.filename} file`);
+            return await this.writeConfigurationFile(fileDetails.filename, fs.readFileSync(outputFile, 'utf8'));
+        } finally {
+            removeDirectory(directory);
         }
     }
 
     /**
-     * Write a file to the filesystem
+     * Write a file to the filesystem.  If the --dry-run option is specified, a
+     * diff is printed instead.  Files that have not changed (ignoring the time
+     * stamp in the header) are not re-written.  The file is written to a temporary
+     * file in the same directory first, then renamed, so that a failed write never
+     * leaves a partial file behind.  Any intermediary directories are created.
      *
-     * @param {String} filename the file name to write to - any intermediary directories must exist
+     * @param {String} filename the file name to write to
      * @param {String} contents the contents of the file
+     * @returns {Promise<String>} resolves to 'written', 'unchanged' or 'dry-run'
      */
-    writeConfigurationFile(filename, contents) {
-        fs.writeFile(filename, contents, 'utf8', (err, data) => {
-            if (err) {
-                this.log('error', `Writing to ${filename}: ${err}`);
+    async writeConfigurationFile(filename, contents) {
+        const existing = fs.existsSync(filename) ? fs.readFileSync(filename, 'utf8') : undefined;
+        const unchanged = typeof existing !== 'undefined' && stripTimestamp(existing) === stripTimestamp(contents);
+
+        if (this.options['dry-run']) {
+            if (unchanged) {
+                this.log('notice', `${filename} is unchanged`);
+            } else {
+                const patch = diff.createTwoFilesPatch(filename, filename, existing || '', contents);
+                this.log('notice', patch.split('\n').map((line) => {
+                    if (line.startsWith('+') && !line.startsWith('+++')) return chalk.green(line);
+                    if (line.startsWith('-') && !line.startsWith('---')) return chalk.red(line);
+                    return line;
+                }).join('\n'));
             }
-        });
+            return 'dry-run';
+        }
+
+        if (unchanged) {
+            this.log('info', `${filename} is unchanged - skipping`);
+            return 'unchanged';
+        }
+
+        const temporaryFile = path.join(path.dirname(filename), `.${path.basename(filename)}.${process.pid}.tmp`);
+        ensureDirectory(path.dirname(filename));
+        try {
+            await writeFile(temporaryFile, contents, 'utf8');
+            await rename(temporaryFile, filename);
+        } catch (error) {
+            if (fs.existsSync(temporaryFile)) {
+                fs.unlinkSync(temporaryFile);
+            }
+            throw error;
+        }
+        return 'written';
     }
 }
 
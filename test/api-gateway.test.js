@@ -0,0 +1,91 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const assert = require('assert');
+const { createNotesPlugin } = require('./support/fake-serverless');
+const notes = require('./fixtures/notes-stack');
+
+const resource = (logicalId, physicalId, resourceType) => ({
+    LogicalResourceId: logicalId,
+    PhysicalResourceId: physicalId,
+    ResourceType: resourceType,
+    StackName: notes.STACK_NAME,
+    Region: notes.REGION
+});
+
+const API_RESOURCES = [
+    resource('ApiGatewayRestApi', 'a1b2c3d4e5', 'AWS::ApiGateway::RestApi'),
+    resource('HttpApi', 'h1t2t3p4a5', 'AWS::ApiGatewayV2::Api'),
+    resource('WebsocketsApi', 'w1s2s3a4p5', 'AWS::ApiGatewayV2::Api'),
+    resource('RestDomain', 'api.notes.example.com', 'AWS::ApiGateway::DomainName'),
+    resource('HttpDomain', 'http.notes.example.com', 'AWS::ApiGatewayV2::DomainName')
+];
+
+/**
+ * Returns the recorded responses for the APIs and custom domains.
+ *
+ * @param {Object} mappings the base path mappings of the REST domain and the API
+ *  mappings of the HTTP domain
+ * @returns {Object} the recorded responses
+ */
+function responses(mappings = {}) {
+    return Object.assign(notes.responses(), {
+        'APIGateway.getStages': { item: [ { stageName: 'prod' }, { stageName: 'dev' } ] },
+        'ApiGatewayV2.getApi': params => ({
+            ApiId: params.ApiId,
+            ApiEndpoint: params.ApiId === 'h1t2t3p4a5'
+                ? `https://${params.ApiId}.execute-api.${notes.REGION}.amazonaws.com`
+                : `wss://${params.ApiId}.execute-api.${notes.REGION}.amazonaws.com`,
+            ProtocolType: params.ApiId === 'h1t2t3p4a5' ? 'HTTP' : 'WEBSOCKET'
+        }),
+        'ApiGatewayV2.getStages': params => ({
+            Items: params.ApiId === 'h1t2t3p4a5' ? [ { StageName: '$default' } ] : [ { StageName: 'dev' } ]
+        }),
+        'APIGateway.getBasePathMappings': { items: mappings.rest || [] },
+        'ApiGatewayV2.getApiMappings': { Items: mappings.http || [] }
+    });
+}
+
+describe('Amazon API Gateway', function () {
+    const getEndpoints = (plugin, fileDetails = {}) => {
+        return plugin.describeStackResources(API_RESOURCES).then(resources => plugin.getApiGatewayEndpoints(resources, fileDetails));
+    };
+
+    it('writes the REST, HTTP and WebSocket APIs by logical ID', function () {
+        return getEndpoints(createNotesPlugin([], { responses: responses() })).then((endpoints) => {
+            assert.deepStrictEqual(endpoints, [
+                { logicalId: 'ApiGatewayRestApi', name: 'ApiGatewayRestApi', endpoint: 'https://a1b2c3d4e5.execute-api.us-east-1.amazonaws.com/dev', region: notes.REGION },
+                { logicalId: 'HttpApi', name: 'HttpApi', endpoint: 'https://h1t2t3p4a5.execute-api.us-east-1.amazonaws.com', region: notes.REGION },
+                { logicalId: 'WebsocketsApi', name: 'WebsocketsApi', endpoint: 'wss://w1s2s3a4p5.execute-api.us-east-1.amazonaws.com/dev', region: notes.REGION }
+            ]);
+        });
+    });
+
+    it('uses the first stage when the API does not have the service stage', function () {
+        return getEndpoints(createNotesPlugin([], { responses: responses(), stage: 'test' })).then((endpoints) => {
+            assert.strictEqual(endpoints[0].endpoint, 'https://a1b2c3d4e5.execute-api.us-east-1.amazonaws.com/prod');
+            assert.strictEqual(endpoints[2].endpoint, 'wss://w1s2s3a4p5.execute-api.us-east-1.amazonaws.com/dev');
+        });
+    });
+
+    it('uses the custom domain mapped to the API and stage', function () {
+        const mappings = {
+            rest: [ { restApiId: 'a1b2c3d4e5', stage: 'prod', basePath: '(none)' }, { restApiId: 'a1b2c3d4e5', stage: 'dev', basePath: 'dev' } ],
+            http: [ { ApiId: 'h1t2t3p4a5', Stage: '$default', ApiMappingKey: '' }, { ApiId: 'w1s2s3a4p5', Stage: 'prod', ApiMappingKey: 'ws' } ]
+        };
+        return getEndpoints(createNotesPlugin([], { responses: responses(mappings) })).then((endpoints) => {
+            assert.deepStrictEqual(endpoints.map(e => e.endpoint), [
+                'https://api.notes.example.com/dev',
+                'https://http.notes.example.com',
+                'wss://w1s2s3a4p5.execute-api.us-east-1.amazonaws.com/dev'
+            ]);
+        });
+    });
+
+    it('names the APIs by the apiNames option', function () {
+        const fileDetails = { apiNames: { ApiGatewayRestApi: 'notes', HttpApi: 'notes-http' } };
+        return getEndpoints(createNotesPlugin([], { responses: responses() }), fileDetails).then((endpoints) => {
+            assert.deepStrictEqual(endpoints.map(e => e.name), [ 'notes', 'notes-http', 'WebsocketsApi' ]);
+        });
+    });
+});
@@ -0,0 +1,197 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+//
+// Golden file tests for every configuration type.  The files are written from the
+// recorded notes-dev stack, then compared with the files in test/golden.  To
+// update the golden files after an intended change, run:
+//
+//     UPDATE_GOLDEN=1 npm test
+//
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createPlugin, createNotesPlugin } = require('./support/fake-serverless');
+const { useWorkDirectory } = require('./support/work-directory');
+const notes = require('./fixtures/notes-stack');
+
+const GOLDEN_DIRECTORY = path.join(__dirname, 'golden');
+
+/**
+ * The entries to write, by golden file name.
+ */
+const ENTRIES = {
+    'awsconfiguration.json': { type: 'native', appClient: 'AdminUserPoolClient' },
+    'amplifyconfiguration.json': { type: 'amplifyconfiguration.json', appClient: 'WebUserPoolClient' },
+    'amplify_outputs.json': { type: 'amplify_outputs.json', appClient: 'WebUserPoolClient' },
+    'aws-exports.js': { type: 'javascript', appClient: 'WebUserPoolClient' },
+    'aws-exports.ts': { type: 'typescript', appClient: 'WebUserPoolClient' },
+    'commonjs-aws-exports.js': { type: 'commonjs', appClient: 'WebUserPoolClient' },
+    'vite.env': { type: 'dotenv', appClient: 'WebUserPoolClient', prefix: 'VITE_' },
+    'template.txt': { type: 'template', appClient: 'WebUserPoolClient', template: path.join(__dirname, 'fixtures', 'template.hbs') },
+    'schema.json': { type: 'schema.json' },
+    'schema.graphql': { type: 'schema.graphql' },
+    'operations.graphql': { type: 'graphql' },
+    'API.swift': { type: 'appsync' },
+    'functions-awsconfiguration.json': { type: 'native', functions: { exclude: [ 'ThumbnailFunction' ] }, tables: true },
+    'functions-aws-exports.js': { type: 'javascript', functions: true, tables: { include: [ 'NotesTable' ] } }
+};
+
+/**
+ * Removes the parts of a generated file that change from run to run - the time
+ * stamp and the plugin version in the header.
+ *
+ * @param {String} contents the contents of the file
+ * @returns {String} the normalized contents
+ */
+function normalize(contents) {
+    return contents
+        .replace(/ on \d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/mg, '')
+        .replace(/aws-amplify-serverless-plugin\/\d+\.\d+\.\d+/g, 'aws-amplify-serverless-plugin/VERSION');
+}
+
+describe('configuration types', function () {
+    // The AWS AppSync code generator is slow to load
+    this.timeout(30000);
+
+    const workDirectory = useWorkDirectory({ each: false });
+    let plugin;
+
+    before(function () {
+        const amplify = Object.keys(ENTRIES).map(name => Object.assign({ filename: path.join('out', name) }, ENTRIES[name]));
+        plugin = createNotesPlugin(amplify, { functions: notes.FUNCTIONS });
+        return plugin.process();
+    });
+
+    it('writes every entry without warnings', function () {
+        assert.deepStrictEqual(plugin.logs.filter(l => l.level === 'warn' || l.level === 'error'), []);
+        assert.strictEqual(plugin.logs.find(l => l.level === 'notice').message,
+            `Wrote ${Object.keys(ENTRIES).length} file(s): ${Object.keys(ENTRIES).map(name => path.join('out', name)).join(', ')}`);
+    });
+
+    Object.keys(ENTRIES).forEach((name) => {
+        it(`writes the ${ENTRIES[name].type} type`, function () {
+            const contents = normalize(fs.readFileSync(path.join(workDirectory.path, 'out', name), 'utf8'));
+            const goldenFile = path.join(GOLDEN_DIRECTORY, name);
+            if (process.env.UPDATE_GOLDEN) {
+                fs.writeFileSync(goldenFile, contents);
+            }
+            assert.strictEqual(contents, fs.readFileSync(goldenFile, 'utf8'));
+        });
+    });
+
+    it('does not re-write unchanged files', function () {
+        plugin.logs = [];
+        return plugin.process().then(() => {
+            assert.ok(plugin.logs.some(l => l.level === 'notice' && l.message.startsWith(`Unchanged ${Object.keys(ENTRIES).length} file(s)`)));
+            assert.ok(plugin.logs.some(l => l.message.startsWith('Using cached resources')));
+        });
+    });
+});
+
+describe('dry run', function () {
+    const workDirectory = useWorkDirectory({ each: false });
+
+    it('logs the changes instead of writing the file', function () {
+        const amplify = [ { type: 'javascript', filename: 'aws-exports.js', appClient: 'WebUserPoolClient' } ];
+        const plugin = createNotesPlugin(amplify, { options: { 'dry-run': true } });
+        return plugin.process().then(() => {
+            assert.ok(!fs.existsSync(path.join(workDirectory.path, 'aws-exports.js')));
+            const patch = plugin.logs.find(l => l.level === 'notice' && l.message.startsWith('Index: aws-exports.js'));
+            assert.ok(patch.message.includes("aws_user_pools_web_client_id: 'webclient1234567890'"));
+        });
+    });
+});
+
+describe('failed entries', function () {
+    useWorkDirectory();
+
+    it('writes the other entries, then fails with a summary', function () {
+        const plugin = createNotesPlugin([
+            { type: 'native', filename: 'out/awsconfiguration.json' },
+            { type: 'javascript', filename: 'out/aws-exports.js', appSyncApi: 'MissingApi' },
+            { type: 'typescript', filename: 'out/aws-exports.ts' }
+        ]);
+        return plugin.process().then(() => assert.fail('process() should have failed'), (error) => {
+            assert.strictEqual(error.message, 'Failed to write 1 file(s): out/aws-exports.js');
+            assert.deepStrictEqual(fs.readdirSync('out').sort(), [ 'aws-exports.ts', 'awsconfiguration.json' ]);
+            assert.deepStrictEqual(plugin.logs.filter(l => l.level === 'notice' || l.level === 'error').map(l => [ l.level, l.message ]), [
+                [ 'error', 'Cannot write out/aws-exports.js: Invalid appSyncApi specified: MissingApi' ],
+                [ 'notice', 'Wrote 2 file(s): out/awsconfiguration.json, out/aws-exports.ts' ],
+                [ 'error', 'Cannot generate configuration files: Failed to write 1 file(s): out/aws-exports.js' ]
+            ]);
+        });
+    });
+});
+
+describe('code generation options', function () {
+    it('rejects options that the type does not support', function () {
+        assert.throws(() => createPlugin([
+            { type: 'graphql', filename: 'operations.graphql', documents: 'src/graphql' },
+            { type: 'appsync', filename: 'API.swift', separateFiles: true, language: 'typescript' }
+        ], {}), (error) => {
+            assert.ok(error.message.includes('entry 1 (operations.graphql): documents is only supported for the appsync type'));
+            assert.ok(error.message.includes('entry 2 (API.swift): language is only supported for the graphql type'));
+            assert.ok(error.message.includes('entry 2 (API.swift): separateFiles is only supported for the graphql type'));
+            return true;
+        });
+    });
+});
+
+describe('unknown types', function () {
+    const amplify = [ { type: 'kotlin', filename: 'Aws.kt' }, { type: 'template', filename: 'aws.txt' } ];
+
+    it('reports the other problems when the plugin is loaded', function () {
+        assert.throws(() => createPlugin(amplify, {}), (error) => {
+            assert.ok(error.message.includes('entry 2 (aws.txt): template is required for the template type'));
+            assert.ok(!error.message.includes('kotlin'));
+            return true;
+        });
+    });
+
+    it('reports unknown types once every plugin is loaded', function () {
+        const plugin = createPlugin([ amplify[0] ], {});
+        assert.throws(() => plugin.hooks.initialize(), /entry 1 \(Aws\.kt\): unknown type 'kotlin'/);
+    });
+});
+
+describe('Hosted UI settings', function () {
+    const workDirectory = useWorkDirectory({ each: false });
+
+    /**
+     * Writes the typescript type for the web client, with some of its redirect URIs removed.
+     *
+     * @param {String} name the golden file name
+     * @param {String[]} removed the redirect URI properties removed from the web client
+     * @returns {Promise} resolves when the file is written
+     */
+    const writeWithout = (name, removed) => {
+        let responses = notes.responses();
+        const describeUserPoolClient = responses['CognitoIdentityServiceProvider.describeUserPoolClient'];
+        responses['CognitoIdentityServiceProvider.describeUserPoolClient'] = (params) => {
+            const client = Object.assign({}, describeUserPoolClient(params).UserPoolClient);
+            removed.forEach((property) => { delete client[property]; });
+            return { UserPoolClient: client };
+        };
+        const plugin = createNotesPlugin([
+            { type: 'typescript', filename: path.join('out', name), appClient: 'WebUserPoolClient' }
+        ], { responses: responses, options: { refresh: true } });
+        return plugin.process();
+    };
+
+    before(function () {
+        return writeWithout('no-logout-aws-exports.ts', [ 'LogoutURLs' ])
+            .then(() => writeWithout('no-redirect-aws-exports.ts', [ 'CallbackURLs', 'LogoutURLs' ]));
+    });
+
+    [ 'no-logout-aws-exports.ts', 'no-redirect-aws-exports.ts' ].forEach((name) => {
+        it(`writes ${name}`, function () {
+            const contents = normalize(fs.readFileSync(path.join(workDirectory.path, 'out', name), 'utf8'));
+            const goldenFile = path.join(GOLDEN_DIRECTORY, name);
+            if (process.env.UPDATE_GOLDEN) {
+                fs.writeFileSync(goldenFile, contents);
+            }
+            assert.strictEqual(contents, fs.readFileSync(goldenFile, 'utf8'));
+        });
+    });
+});
@@ -0,0 +1,58 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createNotesPlugin } = require('./support/fake-serverless');
+const { useWorkDirectory } = require('./support/work-directory');
+
+const FIXTURES_DIRECTORY = path.join(__dirname, 'fixtures');
+
+describe('extensions', function () {
+    useWorkDirectory();
+
+    it('loads the describers and types registered by an extension module', function () {
+        const plugin = createNotesPlugin([
+            { type: 'extension', module: './table-list-extension.js' },
+            { type: 'table-list', filename: 'tables.txt' }
+        ], { servicePath: FIXTURES_DIRECTORY });
+        return plugin.process().then(() => {
+            assert.strictEqual(fs.readFileSync('tables.txt', 'utf8'), [
+                'NotesTable=notes-dev-notes (./table-list-extension.js)',
+                'AuditTable=notes-dev-audit (./table-list-extension.js)',
+                ''
+            ].join('\n'));
+        });
+    });
+
+    it('reports an extension module that cannot be loaded', function () {
+        assert.throws(() => createNotesPlugin([ { type: 'extension', module: './missing-extension.js' } ], { servicePath: FIXTURES_DIRECTORY }),
+            /Cannot load custom.amplify extension \.\/missing-extension\.js/);
+    });
+
+    it('rejects a type that replaces a built-in type', function () {
+        const plugin = createNotesPlugin([]);
+        assert.throws(() => plugin.addConfigurationType('JavaScript', () => ''), /The JavaScript type is already registered/);
+        assert.throws(() => plugin.addConfigurationType('import', () => ''), /The import type is already registered/);
+    });
+
+    it('accepts a type registered by another plugin when deploying and generating', function () {
+        const plugin = createNotesPlugin([ { type: 'kotlin', filename: 'Aws.kt' } ]);
+        plugin.addConfigurationType('kotlin', (resources, fileDetails, amplify) => {
+            return `const val REGION = "${amplify.getJavaScriptConfiguration(resources, fileDetails).aws_project_region}"\n`;
+        });
+        plugin.hooks.initialize();
+        plugin.validateResources();
+        return plugin.generate().then(() => {
+            assert.strictEqual(fs.readFileSync('Aws.kt', 'utf8'), 'const val REGION = "us-east-1"\n');
+        });
+    });
+
+    it('reports a type that is still unknown when deploying and generating', function () {
+        const plugin = createNotesPlugin([ { type: 'kotlin', filename: 'Aws.kt' } ]);
+        assert.throws(() => plugin.validateResources(), /entry 1 \(Aws\.kt\): unknown type 'kotlin'/);
+        assert.throws(() => plugin.generate(), /entry 1 \(Aws\.kt\): unknown type 'kotlin'/);
+        assert.ok(!fs.existsSync('Aws.kt'));
+    });
+});
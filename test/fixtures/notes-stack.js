@@ -0,0 +1,240 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+//
+// Recorded responses for the 'notes-dev' stack in us-east-1.  The stack has two
+// user pools (each with an app client), an identity pool, a hosted UI domain, an
+// AWS AppSync API with an API key, an S3 bucket, a REST API, Lambda functions,
+// DynamoDB tables and a nested stack with analytics resources.  The resources
+// are returned over two pages.  The account also has a shared user pool outside
+// the stack, exported as shared-UserPoolId, with an app client of its own.
+//
+const { buildSchema, graphqlSync, introspectionQuery } = require('graphql');
+
+const REGION = 'us-east-1';
+const ACCOUNT = '123456789012';
+const STACK_NAME = 'notes-dev';
+const NESTED_STACK_NAME = 'notes-dev-AnalyticsStack-1ABCDEFGHIJK';
+const USER_POOL_ID = `${REGION}_UsErPoOl1`;
+const ADMIN_USER_POOL_ID = `${REGION}_AdMiNpOoL`;
+const SHARED_USER_POOL_ID = `${REGION}_ShArEdPoOl`;
+const SHARED_CLIENT_ID = 'sharedclient12345678901234';
+const IDENTITY_POOL_ID = `${REGION}:11111111-2222-3333-4444-555555555555`;
+const GRAPHQL_API_ID = 'abcdefghijklmnopqrstuvwxyz';
+const GRAPHQL_API_ARN = `arn:aws:appsync:${REGION}:${ACCOUNT}:apis/${GRAPHQL_API_ID}`;
+
+const SCHEMA = `
+type Note {
+    noteId: ID!
+    title: String
+    content: String
+}
+
+type PaginatedNotes {
+    notes: [Note!]!
+    nextToken: String
+}
+
+type Query {
+    allNotes(limit: Int, nextToken: String): PaginatedNotes!
+    getNote(noteId: ID!): Note
+}
+
+type Mutation {
+    saveNote(noteId: ID!, title: String!, content: String!): Note
+    deleteNote(noteId: ID!): Note
+}
+
+type Subscription {
+    onSaveNote: Note
+}
+
+schema {
+    query: Query
+    mutation: Mutation
+    subscription: Subscription
+}
+`;
+
+const resource = (logicalId, physicalId, type) => ({
+    LogicalResourceId: logicalId,
+    PhysicalResourceId: physicalId,
+    ResourceType: type,
+    ResourceStatus: 'CREATE_COMPLETE'
+});
+
+const STACK_RESOURCES = {
+    [STACK_NAME]: [
+        [
+            resource('ServerlessDeploymentBucket', 'notes-dev-serverlessdeploymentbucket-1a2b3c', 'AWS::S3::Bucket'),
+            resource('UserPool', USER_POOL_ID, 'AWS::Cognito::UserPool'),
+            resource('AdminUserPool', ADMIN_USER_POOL_ID, 'AWS::Cognito::UserPool'),
+            resource('WebUserPoolClient', 'webclient1234567890', 'AWS::Cognito::UserPoolClient'),
+            resource('AdminUserPoolClient', 'adminclient0987654321', 'AWS::Cognito::UserPoolClient'),
+            resource('UserPoolDomain', 'notes-dev-auth', 'AWS::Cognito::UserPoolDomain')
+        ],
+        [
+            resource('IdentityPool', IDENTITY_POOL_ID, 'AWS::Cognito::IdentityPool'),
+            resource('GraphQlApi', GRAPHQL_API_ARN, 'AWS::AppSync::GraphQLApi'),
+            resource('GraphQlApiKeyDefault', `${GRAPHQL_API_ARN}/apikeys/da2-abcdefghijklmnopqrstuvwxyz`, 'AWS::AppSync::ApiKey'),
+            resource('UserFiles', 'notes-dev-userfiles-4d5e6f', 'AWS::S3::Bucket'),
+            resource('ApiGatewayRestApi', 'a1b2c3d4e5', 'AWS::ApiGateway::RestApi'),
+            resource('CreateNoteLambdaFunction', 'notes-dev-createNote', 'AWS::Lambda::Function'),
+            resource('DeleteNoteLambdaFunction', 'notes-dev-deleteNote', 'AWS::Lambda::Function'),
+            resource('ThumbnailFunction', 'notes-dev-ThumbnailFunction-1A2B3C4D', 'AWS::Lambda::Function'),
+            resource('NotesTable', 'notes-dev-notes', 'AWS::DynamoDB::Table'),
+            resource('AuditTable', 'notes-dev-audit', 'AWS::DynamoDB::Table'),
+            resource('AnalyticsStack', `arn:aws:cloudformation:${REGION}:${ACCOUNT}:stack/${NESTED_STACK_NAME}/guid`, 'AWS::CloudFormation::Stack')
+        ]
+    ],
+    [NESTED_STACK_NAME]: [
+        [
+            resource('PinpointApp', '0123456789abcdef0123456789abcdef', 'AWS::Pinpoint::App'),
+            resource('EventStream', 'notes-dev-events', 'AWS::Kinesis::Stream')
+        ]
+    ]
+};
+
+const USER_POOL_CLIENTS = {
+    webclient1234567890: {
+        UserPoolId: USER_POOL_ID,
+        ClientName: 'notes-web',
+        ClientId: 'webclient1234567890',
+        AllowedOAuthFlowsUserPoolClient: true,
+        AllowedOAuthFlows: [ 'code' ],
+        AllowedOAuthScopes: [ 'email', 'openid', 'profile' ],
+        CallbackURLs: [ 'https://notes.example.com/' ],
+        LogoutURLs: [ 'https://notes.example.com/signout' ],
+        SupportedIdentityProviders: [ 'COGNITO', 'Google' ]
+    },
+    adminclient0987654321: {
+        UserPoolId: ADMIN_USER_POOL_ID,
+        ClientName: 'notes-admin',
+        ClientId: 'adminclient0987654321',
+        ClientSecret: 'admin-client-secret'
+    },
+    [SHARED_CLIENT_ID]: {
+        UserPoolId: SHARED_USER_POOL_ID,
+        ClientName: 'shared-web',
+        ClientId: SHARED_CLIENT_ID
+    }
+};
+
+/**
+ * The functions section of serverless.yml, with the names the framework gives them.
+ */
+const FUNCTIONS = {
+    createNote: { handler: 'notes.create', name: 'notes-dev-createNote' },
+    deleteNote: { handler: 'notes.delete', name: 'notes-dev-deleteNote' }
+};
+
+/**
+ * The compiled CloudFormation template - only the parts the plugin reads.
+ */
+const TEMPLATE = {
+    Resources: {
+        UserPool: { Type: 'AWS::Cognito::UserPool', Properties: {} },
+        AdminUserPool: { Type: 'AWS::Cognito::UserPool', Properties: {} },
+        WebUserPoolClient: { Type: 'AWS::Cognito::UserPoolClient', Properties: { UserPoolId: { Ref: 'UserPool' } } },
+        AdminUserPoolClient: { Type: 'AWS::Cognito::UserPoolClient', Properties: { UserPoolId: { Ref: 'AdminUserPool' } } },
+        UserPoolDomain: { Type: 'AWS::Cognito::UserPoolDomain', Properties: { UserPoolId: { Ref: 'UserPool' } } },
+        IdentityPool: { Type: 'AWS::Cognito::IdentityPool', Properties: {} },
+        GraphQlApi: { Type: 'AWS::AppSync::GraphQLApi', Properties: { AuthenticationType: 'API_KEY' } },
+        GraphQlApiKeyDefault: { Type: 'AWS::AppSync::ApiKey', Properties: { ApiId: { 'Fn::GetAtt': [ 'GraphQlApi', 'ApiId' ] } } },
+        UserFiles: { Type: 'AWS::S3::Bucket', Properties: {} },
+        ApiGatewayRestApi: { Type: 'AWS::ApiGateway::RestApi', Properties: { Name: 'dev-notes' } },
+        CreateNoteLambdaFunction: { Type: 'AWS::Lambda::Function', Properties: {} },
+        DeleteNoteLambdaFunction: { Type: 'AWS::Lambda::Function', Properties: {} },
+        ThumbnailFunction: { Type: 'AWS::Lambda::Function', Properties: {} },
+        NotesTable: { Type: 'AWS::DynamoDB::Table', Properties: {} },
+        AuditTable: { Type: 'AWS::DynamoDB::Table', Properties: {} },
+        AnalyticsStack: { Type: 'AWS::CloudFormation::Stack', Properties: {} }
+    }
+};
+
+/**
+ * Returns a fresh set of recorded responses, so that tests can change them.
+ *
+ * @returns {Object} the recorded responses, keyed by '<Service>.<operation>'
+ */
+function responses() {
+    return {
+        'CloudFormation.describeStacks': params => ({
+            Stacks: [ { StackName: params.StackName, LastUpdatedTime: '2019-01-24T10:00:00.000Z' } ]
+        }),
+        'CloudFormation.listStackResources': (params) => {
+            const pages = STACK_RESOURCES[params.StackName];
+            if (typeof pages === 'undefined') {
+                throw new Error(`Stack with id ${params.StackName} does not exist`);
+            }
+            const page = params.NextToken ? Number(params.NextToken.split('-')[1]) : 0;
+            return Object.assign(
+                { StackResourceSummaries: pages[page] },
+                page + 1 < pages.length ? { NextToken: `page-${page + 1}` } : {}
+            );
+        },
+        'CognitoIdentityServiceProvider.describeUserPool': params => ({
+            UserPool: { Id: params.UserPoolId, Name: params.UserPoolId === USER_POOL_ID ? 'notes-users' : 'notes-admins' }
+        }),
+        'CognitoIdentityServiceProvider.describeUserPoolClient': (params) => {
+            const client = USER_POOL_CLIENTS[params.ClientId];
+            if (typeof client === 'undefined' || client.UserPoolId !== params.UserPoolId) {
+                throw new Error(`User pool client ${params.ClientId} does not exist.`);
+            }
+            return { UserPoolClient: client };
+        },
+        'CognitoIdentityServiceProvider.listUserPools': params => (params.NextToken
+            ? { UserPools: [ { Id: SHARED_USER_POOL_ID, Name: 'shared-users' } ] }
+            : { UserPools: [ { Id: USER_POOL_ID, Name: 'notes-users' }, { Id: ADMIN_USER_POOL_ID, Name: 'notes-admins' } ], NextToken: 'pools-1' }),
+        'CognitoIdentityServiceProvider.describeUserPoolDomain': params => ({
+            DomainDescription: { UserPoolId: USER_POOL_ID, Domain: params.Domain, Status: 'ACTIVE' }
+        }),
+        'CognitoIdentity.describeIdentityPool': params => ({
+            IdentityPoolId: params.IdentityPoolId,
+            IdentityPoolName: 'notes_dev',
+            AllowUnauthenticatedIdentities: false,
+            SupportedLoginProviders: { 'accounts.google.com': 'google-client-id.apps.googleusercontent.com' },
+            CognitoIdentityProviders: [
+                { ProviderName: `cognito-idp.${REGION}.amazonaws.com/${USER_POOL_ID}`, ClientId: 'webclient1234567890' }
+            ]
+        }),
+        'AppSync.getGraphqlApi': params => ({
+            graphqlApi: {
+                name: 'notes',
+                apiId: params.apiId,
+                authenticationType: 'API_KEY',
+                additionalAuthenticationProviders: [ { authenticationType: 'AMAZON_COGNITO_USER_POOLS' } ],
+                arn: GRAPHQL_API_ARN,
+                uris: { GRAPHQL: `https://${GRAPHQL_API_ID}.appsync-api.${REGION}.amazonaws.com/graphql` }
+            }
+        }),
+        'AppSync.getIntrospectionSchema': () => ({
+            schema: Buffer.from(JSON.stringify(graphqlSync(buildSchema(SCHEMA), introspectionQuery)))
+        }),
+        'AppSync.listApiKeys': params => (params.nextToken
+            ? { apiKeys: [ { id: 'da2-abcdefghijklmnopqrstuvwxyz', expires: 4102444800 } ] }
+            : { apiKeys: [ { id: 'da2-expiredkey', expires: 1548324000 } ], nextToken: 'keys-1' }),
+        'CloudFormation.listExports': {
+            Exports: [ { Name: 'shared-UserPoolId', Value: SHARED_USER_POOL_ID, ExportingStackId: `arn:aws:cloudformation:${REGION}:${ACCOUNT}:stack/shared/guid` } ]
+        },
+        'Lambda.getFunctionConfiguration': params => ({
+            FunctionName: params.FunctionName,
+            FunctionArn: `arn:aws:lambda:${REGION}:${ACCOUNT}:function:${params.FunctionName}`
+        }),
+        'S3.getBucketLocation': () => ({ LocationConstraint: '' }),
+        'APIGateway.getStages': () => ({ item: [ { stageName: 'dev' } ] })
+    };
+}
+
+module.exports = {
+    REGION,
+    STACK_NAME,
+    NESTED_STACK_NAME,
+    USER_POOL_ID,
+    ADMIN_USER_POOL_ID,
+    SHARED_USER_POOL_ID,
+    SHARED_CLIENT_ID,
+    FUNCTIONS,
+    TEMPLATE,
+    responses
+};
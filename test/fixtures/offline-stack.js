@@ -0,0 +1,59 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+//
+// A compiled template with outputs for generating offline, to use with the saved
+// stack outputs in offline-stack-outputs.json.  The GraphQL API only outputs its
+// URL and ID, as serverless-appsync-plugin does, so the plugin has to build a
+// stand-in ARN for it and its API key.
+//
+const path = require('path');
+
+const OUTPUTS_FILE = path.join(__dirname, 'offline-stack-outputs.json');
+
+const TEMPLATE = {
+    Resources: {
+        UserPool: { Type: 'AWS::Cognito::UserPool', Properties: {} },
+        WebUserPoolClient: {
+            Type: 'AWS::Cognito::UserPoolClient',
+            Properties: {
+                UserPoolId: { Ref: 'UserPool' },
+                AllowedOAuthFlowsUserPoolClient: true,
+                AllowedOAuthFlows: [ 'code' ],
+                AllowedOAuthScopes: [ 'email', 'openid' ],
+                CallbackURLs: [ 'https://notes.example.com/' ],
+                SupportedIdentityProviders: [ 'COGNITO' ]
+            }
+        },
+        IdentityPool: {
+            Type: 'AWS::Cognito::IdentityPool',
+            Properties: {
+                AllowUnauthenticatedIdentities: false,
+                CognitoIdentityProviders: [
+                    { ClientId: { Ref: 'WebUserPoolClient' }, ProviderName: { 'Fn::GetAtt': [ 'UserPool', 'ProviderName' ] } }
+                ]
+            }
+        },
+        GraphQlApi: { Type: 'AWS::AppSync::GraphQLApi', Properties: { AuthenticationType: 'API_KEY' } },
+        GraphQlApiKeyDefault: { Type: 'AWS::AppSync::ApiKey', Properties: { ApiId: { 'Fn::GetAtt': [ 'GraphQlApi', 'ApiId' ] } } },
+        CreateNoteLambdaFunction: { Type: 'AWS::Lambda::Function', Properties: {} },
+        UnreferencedBucket: { Type: 'AWS::S3::Bucket', Properties: {} }
+    },
+    Outputs: {
+        UserPoolId: { Value: { Ref: 'UserPool' } },
+        UserPoolProviderName: { Value: { 'Fn::GetAtt': [ 'UserPool', 'ProviderName' ] } },
+        WebUserPoolClientId: { Value: { Ref: 'WebUserPoolClient' } },
+        IdentityPoolId: { Value: { Ref: 'IdentityPool' } },
+        GraphQlApiId: { Value: { 'Fn::GetAtt': [ 'GraphQlApi', 'ApiId' ] } },
+        GraphQlApiUrl: { Value: { 'Fn::GetAtt': [ 'GraphQlApi', 'GraphQLUrl' ] } },
+        GraphQlApiKeyDefault: { Value: { 'Fn::GetAtt': [ 'GraphQlApiKeyDefault', 'ApiKey' ] } },
+        CreateNoteLambdaFunctionName: { Value: { Ref: 'CreateNoteLambdaFunction' } },
+        CreateNoteLambdaFunctionArn: { Value: { 'Fn::GetAtt': [ 'CreateNoteLambdaFunction', 'Arn' ] } },
+        UnusedOutput: { Value: 'not in the saved outputs' }
+    }
+};
+
+module.exports = {
+    OUTPUTS_FILE,
+    TEMPLATE
+};
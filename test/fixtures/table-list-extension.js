@@ -0,0 +1,20 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+//
+// A custom.amplify extension module for the tests.  It replaces the built-in
+// describer for DynamoDB tables, so that each table records the extension that
+// described it, and registers a 'table-list' type that writes one table per line.
+//
+module.exports = (amplify, extension) => {
+    amplify.addResourceDescriber('AWS::DynamoDB::Table', resource => Object.assign({}, resource, {
+        metadata: { TableName: resource.PhysicalResourceId, DescribedBy: extension.module }
+    }));
+
+    amplify.addConfigurationType('table-list', (resources) => {
+        return resources
+            .filter(r => r.ResourceType === 'AWS::DynamoDB::Table')
+            .map(r => `${r.LogicalResourceId}=${r.metadata.TableName} (${r.metadata.DescribedBy})\n`)
+            .join('');
+    });
+};
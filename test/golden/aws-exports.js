@@ -0,0 +1,63 @@
+// WARNING: DO NOT EDIT.  This file is automatically generated
+// Written by aws-amplify-serverless-plugin/VERSION
+
+const awsmobile = {
+    Analytics: {
+        AWSKinesis: {
+            region: 'us-east-1'
+        }
+    },
+    aws_appsync_additionalAuthenticationTypes: [
+        'AMAZON_COGNITO_USER_POOLS'
+    ],
+    aws_appsync_apiKey: 'da2-abcdefghijklmnopqrstuvwxyz',
+    aws_appsync_authenticationType: 'API_KEY',
+    aws_appsync_graphqlEndpoint: 'https://abcdefghijklmnopqrstuvwxyz.appsync-api.us-east-1.amazonaws.com/graphql',
+    aws_appsync_region: 'us-east-1',
+    aws_cloud_logic_custom: [
+        {
+            endpoint: 'https://a1b2c3d4e5.execute-api.us-east-1.amazonaws.com/dev',
+            name: 'ApiGatewayRestApi',
+            region: 'us-east-1'
+        }
+    ],
+    aws_cognito_identity_pool_id: 'us-east-1:11111111-2222-3333-4444-555555555555',
+    aws_cognito_region: 'us-east-1',
+    aws_kinesis_streams: [
+        {
+            name: 'EventStream',
+            region: 'us-east-1',
+            stream_name: 'notes-dev-events'
+        }
+    ],
+    aws_mobile_analytics_app_id: '0123456789abcdef0123456789abcdef',
+    aws_mobile_analytics_app_region: 'us-east-1',
+    aws_project_region: 'us-east-1',
+    aws_user_files_s3_bucket: 'notes-dev-userfiles-4d5e6f',
+    aws_user_files_s3_bucket_region: 'us-east-1',
+    aws_user_files_s3_buckets: [
+        {
+            bucket: 'notes-dev-userfiles-4d5e6f',
+            name: 'UserFiles',
+            region: 'us-east-1'
+        }
+    ],
+    aws_user_pools_id: 'us-east-1_UsErPoOl1',
+    aws_user_pools_web_client_id: 'webclient1234567890',
+    federated: {
+        google_client_id: 'google-client-id.apps.googleusercontent.com'
+    },
+    oauth: {
+        domain: 'notes-dev-auth.auth.us-east-1.amazoncognito.com',
+        redirectSignIn: 'https://notes.example.com/',
+        redirectSignOut: 'https://notes.example.com/signout',
+        responseType: 'code',
+        scope: [
+            'email',
+            'openid',
+            'profile'
+        ]
+    }
+};
+
+export default awsmobile;
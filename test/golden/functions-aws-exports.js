@@ -0,0 +1,77 @@
+// WARNING: DO NOT EDIT.  This file is automatically generated
+// Written by aws-amplify-serverless-plugin/VERSION
+
+const awsmobile = {
+    Analytics: {
+        AWSKinesis: {
+            region: 'us-east-1'
+        }
+    },
+    aws_appsync_additionalAuthenticationTypes: [
+        'AMAZON_COGNITO_USER_POOLS'
+    ],
+    aws_appsync_apiKey: 'da2-abcdefghijklmnopqrstuvwxyz',
+    aws_appsync_authenticationType: 'API_KEY',
+    aws_appsync_graphqlEndpoint: 'https://abcdefghijklmnopqrstuvwxyz.appsync-api.us-east-1.amazonaws.com/graphql',
+    aws_appsync_region: 'us-east-1',
+    aws_cloud_logic_custom: [
+        {
+            endpoint: 'https://a1b2c3d4e5.execute-api.us-east-1.amazonaws.com/dev',
+            name: 'ApiGatewayRestApi',
+            region: 'us-east-1'
+        }
+    ],
+    aws_cognito_identity_pool_id: 'us-east-1:11111111-2222-3333-4444-555555555555',
+    aws_cognito_region: 'us-east-1',
+    aws_dynamodb_tables: [
+        {
+            name: 'NotesTable',
+            region: 'us-east-1',
+            table_name: 'notes-dev-notes'
+        }
+    ],
+    aws_kinesis_streams: [
+        {
+            name: 'EventStream',
+            region: 'us-east-1',
+            stream_name: 'notes-dev-events'
+        }
+    ],
+    aws_lambda_functions: [
+        {
+            arn: 'arn:aws:lambda:us-east-1:123456789012:function:notes-dev-createNote',
+            function_name: 'notes-dev-createNote',
+            name: 'createNote',
+            region: 'us-east-1'
+        },
+        {
+            arn: 'arn:aws:lambda:us-east-1:123456789012:function:notes-dev-deleteNote',
+            function_name: 'notes-dev-deleteNote',
+            name: 'deleteNote',
+            region: 'us-east-1'
+        },
+        {
+            arn: 'arn:aws:lambda:us-east-1:123456789012:function:notes-dev-ThumbnailFunction-1A2B3C4D',
+            function_name: 'notes-dev-ThumbnailFunction-1A2B3C4D',
+            name: 'ThumbnailFunction',
+            region: 'us-east-1'
+        }
+    ],
+    aws_mobile_analytics_app_id: '0123456789abcdef0123456789abcdef',
+    aws_mobile_analytics_app_region: 'us-east-1',
+    aws_project_region: 'us-east-1',
+    aws_user_files_s3_bucket: 'notes-dev-userfiles-4d5e6f',
+    aws_user_files_s3_bucket_region: 'us-east-1',
+    aws_user_files_s3_buckets: [
+        {
+            bucket: 'notes-dev-userfiles-4d5e6f',
+            name: 'UserFiles',
+            region: 'us-east-1'
+        }
+    ],
+    federated: {
+        google_client_id: 'google-client-id.apps.googleusercontent.com'
+    }
+};
+
+export default awsmobile;
@@ -0,0 +1,99 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const assert = require('assert');
+const fs = require('fs');
+const { createPlugin } = require('./support/fake-serverless');
+const { useWorkDirectory } = require('./support/work-directory');
+const offline = require('./fixtures/offline-stack');
+
+const GRAPHQL_API_ARN = 'arn:aws:appsync:us-east-1::apis/abcdefghijklmnopqrstuvwxyz';
+
+describe('generating offline', function () {
+    useWorkDirectory();
+
+    /**
+     * Creates the plugin for the offline template.  There are no recorded responses,
+     * so any call to AWS fails.
+     *
+     * @param {Object[]} amplify the custom.amplify section
+     * @returns {ServerlessAmplifyPlugin} the plugin
+     */
+    const createOfflinePlugin = amplify => createPlugin(amplify, {}, { template: offline.TEMPLATE, options: { offline: offline.OUTPUTS_FILE } });
+
+    const describeResources = (plugin) => {
+        return plugin.describeTemplateResources(plugin.readStackOutputs(offline.OUTPUTS_FILE));
+    };
+
+    it('reads the physical IDs from outputs that Ref the resources', function () {
+        const resources = describeResources(createOfflinePlugin([]));
+        const physicalIds = {};
+        resources.forEach((r) => { physicalIds[r.LogicalResourceId] = r.PhysicalResourceId; });
+        assert.deepStrictEqual(physicalIds, {
+            UserPool: 'us-east-1_UsErPoOl1',
+            WebUserPoolClient: 'webclient1234567890',
+            IdentityPool: 'us-east-1:11111111-2222-3333-4444-555555555555',
+            GraphQlApi: GRAPHQL_API_ARN,
+            GraphQlApiKeyDefault: `${GRAPHQL_API_ARN}/apikeys/da2-abcdefghijklmnopqrstuvwxyz`,
+            CreateNoteLambdaFunction: 'notes-dev-createNote'
+        });
+    });
+
+    it('resolves Ref and Fn::GetAtt in the resource properties', function () {
+        const resources = describeResources(createOfflinePlugin([]));
+        const find = logicalId => resources.find(r => r.LogicalResourceId === logicalId).metadata;
+        assert.strictEqual(find('WebUserPoolClient').UserPoolClient.UserPoolId, 'us-east-1_UsErPoOl1');
+        assert.deepStrictEqual(find('IdentityPool').CognitoIdentityProviders, [
+            { ClientId: 'webclient1234567890', ProviderName: 'cognito-idp.us-east-1.amazonaws.com/us-east-1_UsErPoOl1' }
+        ]);
+        assert.strictEqual(find('CreateNoteLambdaFunction').FunctionArn, 'arn:aws:lambda:us-east-1:123456789012:function:notes-dev-createNote');
+    });
+
+    it('builds a stand-in ARN for the GraphQL API from its URL and ID', function () {
+        const resources = describeResources(createOfflinePlugin([]));
+        const api = resources.find(r => r.LogicalResourceId === 'GraphQlApi');
+        assert.deepStrictEqual(api.metadata.graphqlApi, {
+            apiId: 'abcdefghijklmnopqrstuvwxyz',
+            arn: GRAPHQL_API_ARN,
+            uris: { GRAPHQL: 'https://abcdefghijklmnopqrstuvwxyz.appsync-api.us-east-1.amazonaws.com/graphql' },
+            authenticationType: 'API_KEY',
+            additionalAuthenticationProviders: []
+        });
+    });
+
+    it('writes the files without calling AWS', function () {
+        const plugin = createOfflinePlugin([ { type: 'javascript', filename: 'aws-exports.js', appClient: 'WebUserPoolClient' } ]);
+        return plugin.generate().then(() => {
+            const contents = fs.readFileSync('aws-exports.js', 'utf8');
+            assert.ok(contents.includes("aws_user_pools_web_client_id: 'webclient1234567890'"));
+            assert.ok(contents.includes("aws_appsync_apiKey: 'da2-abcdefghijklmnopqrstuvwxyz'"));
+            assert.deepStrictEqual(plugin.provider.calls, []);
+        });
+    });
+
+    it('uses the userPoolId option for an app client outside the stack', function () {
+        const plugin = createOfflinePlugin([
+            { type: 'javascript', filename: 'aws-exports.js', appClient: 'sharedclient12345678901234', userPoolId: 'us-east-1_ShArEdPoOl' }
+        ]);
+        const client = describeResources(plugin).find(r => r.LogicalResourceId === 'sharedclient12345678901234');
+        assert.deepStrictEqual(client.metadata, { UserPoolClient: { ClientId: 'sharedclient12345678901234', UserPoolId: 'us-east-1_ShArEdPoOl' } });
+    });
+
+    it('skips an app client outside the stack without the userPoolId option', function () {
+        const plugin = createOfflinePlugin([ { type: 'javascript', filename: 'aws-exports.js', appClient: 'sharedclient12345678901234' } ]);
+        assert.ok(!describeResources(plugin).some(r => r.LogicalResourceId === 'sharedclient12345678901234'));
+        assert.ok(plugin.logs.some(l => l.level === 'warn' && l.message.startsWith('The userPoolId option is required for app client sharedclient12345678901234')));
+    });
+
+    it('warns that resources from other stacks and exports are skipped', function () {
+        const plugin = createOfflinePlugin([
+            { type: 'stack', stackName: 'shared-dev' },
+            { type: 'import', exportName: 'shared-UserPoolId', resourceType: 'AWS::Cognito::UserPool' },
+            { type: 'javascript', filename: 'aws-exports.js' }
+        ]);
+        return plugin.generate().then(() => {
+            assert.ok(plugin.logs.some(l => l.level === 'warn' && l.message === 'Resources from other stacks and exports are not available offline'));
+            assert.deepStrictEqual(plugin.provider.calls, []);
+        });
+    });
+});
@@ -0,0 +1,346 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createNotesPlugin } = require('./support/fake-serverless');
+const { useWorkDirectory } = require('./support/work-directory');
+const notes = require('./fixtures/notes-stack');
+
+describe('listing resources', function () {
+    it('follows NextToken across pages of stack resources', function () {
+        const plugin = createNotesPlugin([]);
+        return plugin.listStackResources(notes.STACK_NAME).then((resources) => {
+            const calls = plugin.provider.callsTo('CloudFormation', 'listStackResources').filter(c => c.params.StackName === notes.STACK_NAME);
+            assert.deepStrictEqual(calls.map(c => c.params.NextToken), [ undefined, 'page-1' ]);
+            assert.ok(resources.some(r => r.LogicalResourceId === 'UserPool'));
+            assert.ok(resources.some(r => r.LogicalResourceId === 'GraphQlApi'));
+        });
+    });
+
+    it('lists the resources in nested stacks', function () {
+        const plugin = createNotesPlugin([]);
+        return plugin.listStackResources(notes.STACK_NAME).then((resources) => {
+            const nested = resources.filter(r => r.StackName === notes.NESTED_STACK_NAME);
+            assert.deepStrictEqual(nested.map(r => r.LogicalResourceId), [ 'PinpointApp', 'EventStream' ]);
+            assert.ok(nested.every(r => r.Region === notes.REGION));
+        });
+    });
+
+    it('follows nextToken across pages of API keys', function () {
+        const plugin = createNotesPlugin([]);
+        return plugin.listApiKeys('abcdefghijklmnopqrstuvwxyz', notes.REGION).then((apiKeys) => {
+            assert.deepStrictEqual(apiKeys.map(k => k.id), [ 'da2-expiredkey', 'da2-abcdefghijklmnopqrstuvwxyz' ]);
+            assert.deepStrictEqual(plugin.provider.callsTo('AppSync', 'listApiKeys').map(c => c.params.nextToken), [ undefined, 'keys-1' ]);
+        });
+    });
+});
+
+describe('source stacks and exports', function () {
+    useWorkDirectory();
+
+    const SHARED_STACK_NAME = 'shared-dev';
+    const SHARED_REGION = 'eu-west-1';
+    const regionOf = options => (options && options.region) || notes.REGION;
+    const responses = () => {
+        let recorded = notes.responses();
+        const listStackResources = recorded['CloudFormation.listStackResources'];
+        recorded['CloudFormation.listStackResources'] = (params, options) => {
+            if (params.StackName !== SHARED_STACK_NAME) {
+                return listStackResources(params, options);
+            }
+            if (regionOf(options) !== SHARED_REGION) {
+                throw new Error(`Stack with id ${params.StackName} does not exist`);
+            }
+            return {
+                StackResourceSummaries: [
+                    { LogicalResourceId: 'NotesTable', PhysicalResourceId: 'shared-dev-notes', ResourceType: 'AWS::DynamoDB::Table' },
+                    { LogicalResourceId: 'SharedTable', PhysicalResourceId: 'shared-dev-shared', ResourceType: 'AWS::DynamoDB::Table' }
+                ]
+            };
+        };
+        recorded['CloudFormation.listExports'] = (params, options) => ({
+            Exports: [ { Name: 'shared-AuditTable', Value: `shared-audit-${regionOf(options)}`, ExportingStackId: `arn:aws:cloudformation:${regionOf(options)}:123456789012:stack/shared/guid` } ]
+        });
+        return recorded;
+    };
+    const sources = [
+        { type: 'stack', stackName: SHARED_STACK_NAME, region: SHARED_REGION },
+        { type: 'import', exportName: 'shared-AuditTable', resourceType: 'AWS::DynamoDB::Table', logicalId: 'AuditTable' },
+        { type: 'import', exportName: 'shared-AuditTable', resourceType: 'AWS::DynamoDB::Table', logicalId: 'ArchiveTable', region: SHARED_REGION }
+    ];
+
+    it('lists the resources of each source in its region', function () {
+        const plugin = createNotesPlugin(sources, { responses: responses() });
+        return plugin.listSourceResources().then((resources) => {
+            const tables = resources.filter(r => r.ResourceType === 'AWS::DynamoDB::Table').map(r => [ r.LogicalResourceId, r.PhysicalResourceId, r.StackName, r.Region ]);
+            assert.deepStrictEqual(tables, [
+                [ 'NotesTable', 'notes-dev-notes', notes.STACK_NAME, notes.REGION ],
+                [ 'AuditTable', 'notes-dev-audit', notes.STACK_NAME, notes.REGION ],
+                [ 'NotesTable', 'shared-dev-notes', SHARED_STACK_NAME, SHARED_REGION ],
+                [ 'SharedTable', 'shared-dev-shared', SHARED_STACK_NAME, SHARED_REGION ],
+                [ 'AuditTable', `shared-audit-${notes.REGION}`, 'shared', notes.REGION ],
+                [ 'ArchiveTable', `shared-audit-${SHARED_REGION}`, 'shared', SHARED_REGION ]
+            ]);
+            assert.deepStrictEqual(plugin.provider.callsTo('CloudFormation', 'listExports').map(c => c.region), [ notes.REGION, SHARED_REGION ]);
+        });
+    });
+
+    it('keeps the resources of the service stack when logical IDs clash', function () {
+        const amplify = sources.concat([ { type: 'native', filename: 'awsconfiguration.json', tables: true } ]);
+        const plugin = createNotesPlugin(amplify, { responses: responses() });
+        return plugin.process().then(() => {
+            const config = JSON.parse(fs.readFileSync('awsconfiguration.json', 'utf8'));
+            assert.deepStrictEqual(config.DynamoDBObjectMapper, {
+                Default: { TableName: 'notes-dev-notes', Region: notes.REGION },
+                NotesTable: { TableName: 'notes-dev-notes', Region: notes.REGION },
+                AuditTable: { TableName: 'notes-dev-audit', Region: notes.REGION },
+                SharedTable: { TableName: 'shared-dev-shared', Region: SHARED_REGION },
+                ArchiveTable: { TableName: `shared-audit-${SHARED_REGION}`, Region: SHARED_REGION }
+            });
+        });
+    });
+});
+
+describe('analytics', function () {
+    it('selects the Pinpoint app by the pinpointApp option', function () {
+        const plugin = createNotesPlugin([]);
+        return plugin.listStackResources(notes.STACK_NAME).then((resources) => {
+            assert.strictEqual(plugin.getPinpointApp(resources, {}).LogicalResourceId, 'PinpointApp');
+            assert.strictEqual(plugin.getPinpointApp(resources, { pinpointApp: 'PinpointApp' }).LogicalResourceId, 'PinpointApp');
+            assert.strictEqual(plugin.getPinpointApp(resources, { pinpointApp: 'disabled' }), undefined);
+        });
+    });
+
+    it('rejects a pinpointApp that is not in the stack', function () {
+        const plugin = createNotesPlugin([]);
+        return plugin.listStackResources(notes.STACK_NAME).then((resources) => {
+            assert.throws(() => plugin.getPinpointApp(resources, { pinpointApp: 'MissingApp' }), /^Error: pinpointApp 'MissingApp' is not a resource in the stack$/);
+        });
+    });
+});
+
+describe('opt-in resources', function () {
+    const distribution = {
+        LogicalResourceId: 'UserFilesDistribution',
+        PhysicalResourceId: 'E1A2B3C4D5E6F7',
+        ResourceType: 'AWS::CloudFront::Distribution',
+        StackName: notes.STACK_NAME,
+        Region: notes.REGION
+    };
+    const responses = () => Object.assign(notes.responses(), {
+        'CloudFront.getDistribution': { Distribution: { DomainName: 'd111111abcdef8.cloudfront.net' } }
+    });
+
+    it('does not describe CloudFront distributions unless requested', function () {
+        const plugin = createNotesPlugin([ { type: 'javascript', filename: 'aws-exports.js' } ], { responses: responses() });
+        return plugin.describeStackResources([ distribution ]).then((resources) => {
+            assert.deepStrictEqual(resources, []);
+            assert.deepStrictEqual(plugin.provider.callsTo('CloudFront', 'getDistribution'), []);
+        });
+    });
+
+    it('describes CloudFront distributions when an entry sets cloudfront', function () {
+        const plugin = createNotesPlugin([ { type: 'javascript', filename: 'aws-exports.js', cloudfront: true } ], { responses: responses() });
+        return plugin.describeStackResources([ distribution ]).then((resources) => {
+            assert.strictEqual(resources[0].metadata.Distribution.DomainName, 'd111111abcdef8.cloudfront.net');
+        });
+    });
+});
+
+describe('user pool clients', function () {
+    const workDirectory = useWorkDirectory();
+
+    const describeClients = (plugin) => {
+        return plugin.listStackResources(notes.STACK_NAME)
+            .then(resources => plugin.describeStackResources(resources))
+            .then(resources => resources.filter(r => r.ResourceType === 'AWS::Cognito::UserPoolClient'));
+    };
+
+    it('finds the user pool of each client from the compiled template', function () {
+        const plugin = createNotesPlugin([]);
+        return describeClients(plugin).then((clients) => {
+            const calls = plugin.provider.callsTo('CognitoIdentityServiceProvider', 'describeUserPoolClient');
+            assert.deepStrictEqual(calls.map(c => c.params).sort((a, b) => a.ClientId.localeCompare(b.ClientId)), [
+                { ClientId: 'adminclient0987654321', UserPoolId: notes.ADMIN_USER_POOL_ID },
+                { ClientId: 'webclient1234567890', UserPoolId: notes.USER_POOL_ID }
+            ]);
+            assert.strictEqual(clients.length, 2);
+        });
+    });
+
+    it('describes the clients when generating without a compiled template', function () {
+        // amplify generate does not package the service, so the template is not compiled
+        const plugin = createNotesPlugin([ { type: 'javascript', filename: 'aws-exports.js', appClient: 'WebUserPoolClient' } ], { template: undefined });
+        return plugin.generate().then(() => {
+            const contents = fs.readFileSync(path.join(workDirectory.path, 'aws-exports.js'), 'utf8');
+            assert.ok(contents.includes(`aws_user_pools_id: '${notes.USER_POOL_ID}'`));
+            assert.ok(contents.includes("aws_user_pools_web_client_id: 'webclient1234567890'"));
+        });
+    });
+
+    it('resolves the user pool from Fn::GetAtt, Fn::ImportValue and literal IDs', function () {
+        const template = JSON.parse(JSON.stringify(notes.TEMPLATE));
+        template.Resources.WebUserPoolClient.Properties.UserPoolId = { 'Fn::GetAtt': [ 'UserPool', 'UserPoolId' ] };
+        template.Resources.AdminUserPoolClient.Properties.UserPoolId = notes.ADMIN_USER_POOL_ID;
+
+        const plugin = createNotesPlugin([], { template: template });
+        return plugin.listStackResources(notes.STACK_NAME)
+            .then(resources => Promise.all(resources.filter(r => r.ResourceType === 'AWS::Cognito::UserPoolClient').map(r => plugin.getTemplateUserPoolId(r, resources))))
+            .then((userPoolIds) => {
+                assert.deepStrictEqual(userPoolIds, [ notes.USER_POOL_ID, notes.ADMIN_USER_POOL_ID ]);
+
+                template.Resources.WebUserPoolClient.Properties.UserPoolId = { 'Fn::ImportValue': 'shared-UserPoolId' };
+                return plugin.getTemplateUserPoolId({ LogicalResourceId: 'WebUserPoolClient', StackName: notes.STACK_NAME }, []);
+            })
+            .then((userPoolId) => {
+                assert.strictEqual(userPoolId, notes.SHARED_USER_POOL_ID);
+            });
+    });
+
+    it('tries the user pools in the stack when the client is not in the template', function () {
+        const template = JSON.parse(JSON.stringify(notes.TEMPLATE));
+        delete template.Resources.AdminUserPoolClient;
+
+        const plugin = createNotesPlugin([], { template: template });
+        return describeClients(plugin).then((clients) => {
+            assert.deepStrictEqual(clients.map(c => c.LogicalResourceId).sort(), [ 'AdminUserPoolClient', 'WebUserPoolClient' ]);
+            assert.strictEqual(clients.find(c => c.LogicalResourceId === 'AdminUserPoolClient').metadata.UserPoolClient.UserPoolId, notes.ADMIN_USER_POOL_ID);
+            assert.deepStrictEqual(plugin.provider.callsTo('CognitoIdentityServiceProvider', 'listUserPools'), []);
+        });
+    });
+
+    it('searches the user pools when the template has no resources', function () {
+        const plugin = createNotesPlugin([], { template: {} });
+        return describeClients(plugin).then((clients) => {
+            assert.deepStrictEqual(clients.map(c => [ c.LogicalResourceId, c.metadata.UserPoolClient.UserPoolId ]).sort(), [
+                [ 'AdminUserPoolClient', notes.ADMIN_USER_POOL_ID ],
+                [ 'WebUserPoolClient', notes.USER_POOL_ID ]
+            ]);
+        });
+    });
+
+    it('lists the user pools in the region to find a client outside the stack', function () {
+        const plugin = createNotesPlugin([ { type: 'javascript', filename: 'aws-exports.js', appClient: notes.SHARED_CLIENT_ID } ]);
+        return plugin.listSourceResources().then(resources => plugin.describeStackResources(resources)).then((resources) => {
+            const client = resources.find(r => r.LogicalResourceId === notes.SHARED_CLIENT_ID);
+            assert.strictEqual(client.metadata.UserPoolClient.UserPoolId, notes.SHARED_USER_POOL_ID);
+            assert.deepStrictEqual(plugin.provider.callsTo('CognitoIdentityServiceProvider', 'listUserPools').map(c => c.params.NextToken), [ undefined, 'pools-1' ]);
+        });
+    });
+
+    it('uses the userPoolId option for a client outside the stack', function () {
+        const amplify = [ { type: 'javascript', filename: 'aws-exports.js', appClient: notes.SHARED_CLIENT_ID, userPoolId: notes.SHARED_USER_POOL_ID } ];
+        const plugin = createNotesPlugin(amplify);
+        return plugin.listSourceResources().then(resources => plugin.describeStackResources(resources)).then((resources) => {
+            assert.ok(resources.some(r => r.LogicalResourceId === notes.SHARED_CLIENT_ID));
+            assert.deepStrictEqual(plugin.provider.callsTo('CognitoIdentityServiceProvider', 'listUserPools'), []);
+        });
+    });
+
+    it('skips a client when its user pool cannot be found', function () {
+        const responses = notes.responses();
+        responses['CognitoIdentityServiceProvider.listUserPools'] = { UserPools: [] };
+        const plugin = createNotesPlugin([ { type: 'javascript', filename: 'aws-exports.js', appClient: 'unknownclient1234567890123' } ], { responses: responses });
+        return plugin.listSourceResources().then(resources => plugin.describeStackResources(resources)).then((resources) => {
+            assert.ok(!resources.some(r => r.LogicalResourceId === 'unknownclient1234567890123'));
+            assert.ok(plugin.logs.some(l => l.level === 'warn' && l.message.includes('unknownclient1234567890123')));
+        });
+    });
+});
+
+describe('cached resources', function () {
+    const workDirectory = useWorkDirectory();
+
+    it('keys the cache by stack, region and stage', function () {
+        const plugin = createNotesPlugin([], { region: 'eu-west-1' });
+        assert.strictEqual(plugin.getCacheFile(), path.join('.serverless', 'amplify-resources-notes-dev-eu-west-1-dev.json'));
+    });
+
+    it('can only be read by its owner', function () {
+        if (process.platform === 'win32') {
+            this.skip();
+        }
+        const plugin = createNotesPlugin([]);
+        return plugin.loadResources().then(() => {
+            assert.strictEqual(fs.statSync(plugin.getCacheFile()).mode & 0o777, 0o600);
+        });
+    });
+
+    it('uses the cached resources while the stacks are unchanged', function () {
+        return createNotesPlugin([]).loadResources().then(() => {
+            const plugin = createNotesPlugin([]);
+            return plugin.loadResources().then((resources) => {
+                assert.ok(resources.some(r => r.LogicalResourceId === 'UserPool'));
+                assert.ok(plugin.logs.some(l => l.message.startsWith('Using cached resources')));
+                assert.deepStrictEqual(plugin.provider.callsTo('CloudFormation', 'listStackResources'), []);
+            });
+        });
+    });
+
+    it('describes the resources again when a stack is updated', function () {
+        return createNotesPlugin([]).loadResources().then(() => {
+            const responses = notes.responses();
+            responses['CloudFormation.describeStacks'] = params => ({
+                Stacks: [ { StackName: params.StackName, LastUpdatedTime: '2019-02-01T10:00:00.000Z' } ]
+            });
+            const plugin = createNotesPlugin([], { responses: responses });
+            return plugin.loadResources().then(() => {
+                assert.ok(!plugin.logs.some(l => l.message.startsWith('Using cached resources')));
+                assert.ok(plugin.provider.callsTo('CloudFormation', 'listStackResources').length > 0);
+                assert.strictEqual(JSON.parse(fs.readFileSync(plugin.getCacheFile(), 'utf8')).stackVersions[0].lastUpdated, '2019-02-01T10:00:00.000Z');
+            });
+        });
+    });
+
+    it('describes the resources again when the describers change', function () {
+        return createNotesPlugin([]).loadResources().then(() => {
+            const plugin = createNotesPlugin([]);
+            plugin.addResourceDescriber('AWS::SQS::Queue', resource => resource);
+            return plugin.loadResources().then(() => {
+                assert.ok(!plugin.logs.some(l => l.message.startsWith('Using cached resources')));
+            });
+        });
+    });
+
+    it('describes the resources again when the cache cannot be read', function () {
+        const plugin = createNotesPlugin([]);
+        fs.mkdirSync('.serverless');
+        fs.mkdirSync(plugin.getCacheFile());
+        return plugin.loadResources().then((resources) => {
+            assert.ok(resources.some(r => r.LogicalResourceId === 'UserPool'));
+            assert.ok(plugin.logs.some(l => l.level === 'warn' && l.message.startsWith('Cannot read cached resources')));
+            assert.ok(plugin.logs.some(l => l.level === 'warn' && l.message.startsWith('Cannot write cached resources')));
+        });
+    });
+
+    it('does not write the cache for a dry run', function () {
+        const plugin = createNotesPlugin([], { options: { 'dry-run': true } });
+        return plugin.loadResources().then((resources) => {
+            assert.ok(resources.length > 0);
+            assert.ok(!fs.existsSync(plugin.getCacheFile()));
+        });
+    });
+
+    it('does not write the cache when no resources are found', function () {
+        const responses = notes.responses();
+        responses['CloudFormation.listStackResources'] = { StackResourceSummaries: [] };
+        const plugin = createNotesPlugin([], { responses: responses });
+        return plugin.loadResources().then((resources) => {
+            assert.deepStrictEqual(resources, []);
+            assert.ok(!fs.existsSync(plugin.getCacheFile()));
+        });
+    });
+
+    it('describes the resources again when the cache is corrupt', function () {
+        const plugin = createNotesPlugin([]);
+        fs.mkdirSync('.serverless');
+        fs.writeFileSync(plugin.getCacheFile(), '{ "stage": "dev", ');
+        return plugin.loadResources().then((resources) => {
+            assert.ok(resources.some(r => r.LogicalResourceId === 'UserPool'));
+            assert.ok(plugin.logs.some(l => l.level === 'warn' && l.message.startsWith('Cannot read cached resources')));
+            assert.doesNotThrow(() => JSON.parse(fs.readFileSync(plugin.getCacheFile(), 'utf8')));
+        });
+    });
+});
@@ -0,0 +1,80 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { buildSchema, graphqlSync, introspectionQuery } = require('graphql');
+const { createNotesPlugin } = require('./support/fake-serverless');
+const { useWorkDirectory } = require('./support/work-directory');
+
+const SCHEMA_V1 = fs.readFileSync(path.join(__dirname, 'fixtures', 'schema-v1.graphql'), 'utf8');
+const SCHEMA_V2 = fs.readFileSync(path.join(__dirname, 'fixtures', 'schema-v2.graphql'), 'utf8');
+
+/**
+ * Returns a GraphQL API resource with the introspection of a schema, as
+ * describeStackResources() does.
+ *
+ * @param {String} sdl the schema in the schema definition language
+ * @returns {Resource} the GraphQL API resource
+ */
+function graphqlApi(sdl) {
+    return {
+        LogicalResourceId: 'GraphQlApi',
+        ResourceType: 'AWS::AppSync::GraphQLApi',
+        schema: graphqlSync(buildSchema(sdl), introspectionQuery)
+    };
+}
+
+describe('schema changes', function () {
+    useWorkDirectory();
+
+    it('does not check the schema when there is no previous schema', function () {
+        const plugin = createNotesPlugin([]);
+        plugin.checkSchemaChanges(graphqlApi(SCHEMA_V2), { type: 'schema.graphql', filename: 'schema.graphql', breakingChanges: 'fail' });
+        assert.deepStrictEqual(plugin.logs, []);
+    });
+
+    it('accepts changes that do not break existing clients', function () {
+        fs.writeFileSync('schema.graphql', SCHEMA_V1);
+        const plugin = createNotesPlugin([]);
+        plugin.checkSchemaChanges(graphqlApi(SCHEMA_V1.replace('content: String', 'content: String\n  tags: [String]')),
+            { type: 'schema.graphql', filename: 'schema.graphql', breakingChanges: 'fail' });
+        assert.ok(!plugin.logs.some(l => l.level === 'warn'));
+    });
+
+    it('warns about breaking changes by default', function () {
+        fs.writeFileSync('schema.graphql', SCHEMA_V1);
+        const plugin = createNotesPlugin([]);
+        plugin.checkSchemaChanges(graphqlApi(SCHEMA_V2), { type: 'schema.graphql', filename: 'schema.graphql' });
+        const warnings = plugin.logs.filter(l => l.level === 'warn');
+        assert.strictEqual(warnings.length, 1);
+        assert.ok(warnings[0].message.startsWith('The schema in schema.graphql has 2 breaking change(s) that may break existing clients:'));
+        assert.ok(warnings[0].message.includes('Note.content was removed.'));
+        assert.ok(warnings[0].message.includes('Query.getNote arg noteId has changed type from ID! to String!'));
+    });
+
+    it('compares with a previous schema.json introspection', function () {
+        fs.writeFileSync('schema.json', JSON.stringify(graphqlSync(buildSchema(SCHEMA_V1), introspectionQuery)));
+        const plugin = createNotesPlugin([]);
+        plugin.checkSchemaChanges(graphqlApi(SCHEMA_V2), { type: 'schema.json', filename: 'schema.json' });
+        assert.ok(plugin.logs.some(l => l.level === 'warn' && l.message.startsWith('The schema in schema.json has 2 breaking change(s)')));
+    });
+
+    it('fails without replacing the file when breakingChanges is fail', function () {
+        fs.writeFileSync('schema.graphql', SCHEMA_V1);
+        const plugin = createNotesPlugin([]);
+        const fileDetails = { type: 'schema.graphql', filename: 'schema.graphql', breakingChanges: 'fail' };
+        assert.throws(() => plugin.writeSchemaSDLConfiguration([ graphqlApi(SCHEMA_V2) ], fileDetails),
+            /The schema has 2 breaking change\(s\) that may break existing clients:\n {2}- Note\.content was removed\./);
+        assert.strictEqual(fs.readFileSync('schema.graphql', 'utf8'), SCHEMA_V1);
+        assert.ok(!plugin.logs.some(l => l.level === 'warn'));
+    });
+
+    it('warns when the previous schema cannot be read', function () {
+        fs.writeFileSync('schema.graphql', 'type Note {');
+        const plugin = createNotesPlugin([]);
+        plugin.checkSchemaChanges(graphqlApi(SCHEMA_V2), { type: 'schema.graphql', filename: 'schema.graphql', breakingChanges: 'fail' });
+        assert.ok(plugin.logs.some(l => l.level === 'warn' && l.message.startsWith('Cannot read the previous schema in schema.graphql')));
+    });
+});
@@ -0,0 +1,95 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const assert = require('assert');
+const fs = require('fs');
+const { createPlugin, createNotesPlugin } = require('./support/fake-serverless');
+const { useWorkDirectory } = require('./support/work-directory');
+
+describe('secrets', function () {
+    useWorkDirectory();
+
+    /**
+     * Writes a template that renders the resources as JSON with a secrets policy.
+     *
+     * @param {String} policy the secrets policy
+     * @returns {Promise<String>} resolves to the rendered file
+     */
+    const renderResources = (policy) => {
+        fs.writeFileSync('resources.hbs', '{{json resources}}');
+        const plugin = createNotesPlugin([
+            { type: 'template', filename: 'resources.json', template: 'resources.hbs', appClient: 'AdminUserPoolClient', secrets: policy }
+        ]);
+        return plugin.process().then(() => fs.readFileSync('resources.json', 'utf8'));
+    };
+
+    it('passes templates the resources without secrets for the omit policy', function () {
+        return renderResources('omit').then((contents) => {
+            assert.ok(!contents.includes('admin-client-secret'));
+            assert.ok(!contents.includes('da2-'));
+            assert.ok(contents.includes('adminclient0987654321'));
+        });
+    });
+
+    it('passes templates the resources with placeholders for the env-reference policy', function () {
+        return renderResources('env-reference').then((contents) => {
+            assert.ok(!contents.includes('admin-client-secret'));
+            assert.ok(!contents.includes('da2-abcdefghijklmnopqrstuvwxyz'));
+            assert.ok(!contents.includes('da2-expiredkey'));
+            assert.ok(contents.includes('"ClientSecret": "${AWS_USER_POOLS_WEB_CLIENT_SECRET}"'));
+            assert.ok(contents.includes('/apikeys/${AWS_APPSYNC_APIKEY}"'));
+        });
+    });
+
+    it('passes templates the resources as is for the include policy', function () {
+        return renderResources('include').then((contents) => {
+            assert.ok(contents.includes('admin-client-secret'));
+        });
+    });
+
+    it('lists the secrets file in the summary', function () {
+        const plugin = createNotesPlugin([
+            { type: 'javascript', filename: 'aws-exports.js', appClient: 'AdminUserPoolClient', secretsFile: 'aws-secrets.js' }
+        ]);
+        return plugin.process().then(() => {
+            assert.ok(plugin.logs.some(l => l.level === 'notice' && l.message === 'Wrote 2 file(s): aws-exports.js, aws-secrets.js'));
+            plugin.logs = [];
+            return plugin.process();
+        }).then(() => {
+            assert.ok(plugin.logs.some(l => l.level === 'notice' && l.message === 'Unchanged 2 file(s): aws-exports.js, aws-secrets.js'));
+        });
+    });
+
+    it('only refers to environment variables from the types that can resolve them', function () {
+        assert.throws(() => createPlugin([
+            { type: 'javascript', filename: 'aws-exports.js', secrets: 'env-reference' },
+            { type: 'dotenv', filename: '.env', secrets: 'env-reference' },
+            { type: 'native', filename: 'awsconfiguration.json', secrets: 'env-reference' },
+            { type: 'amplify_outputs.json', filename: 'amplify_outputs.json', secrets: 'env-reference' }
+        ], {}), (error) => {
+            const policyProblems = error.message.split('\n').filter(line => line.includes('env-reference'));
+            assert.deepStrictEqual(policyProblems, [
+                '  - entry 3 (awsconfiguration.json): the env-reference secrets policy is only supported for the javascript, typescript, commonjs, dotenv, template types',
+                '  - entry 4 (amplify_outputs.json): the env-reference secrets policy is only supported for the javascript, typescript, commonjs, dotenv, template types'
+            ]);
+            return true;
+        });
+    });
+
+    it('passes registered types the resources without secrets for the omit policy', function () {
+        const plugin = createNotesPlugin([ { type: 'kotlin', filename: 'Aws.kt', appClient: 'AdminUserPoolClient', secrets: 'omit' } ]);
+        plugin.addConfigurationType('kotlin', resources => `${JSON.stringify(resources)}\n`);
+        return plugin.process().then(() => {
+            const contents = fs.readFileSync('Aws.kt', 'utf8');
+            assert.ok(contents.includes('adminclient0987654321'));
+            assert.ok(!contents.includes('admin-client-secret'));
+            assert.ok(!contents.includes('da2-'));
+        });
+    });
+
+    it('rejects a secrets file for registered types', function () {
+        const plugin = createNotesPlugin([ { type: 'kotlin', filename: 'Aws.kt', secretsFile: 'AwsSecrets.kt' } ]);
+        plugin.addConfigurationType('kotlin', () => '');
+        assert.throws(() => plugin.hooks.initialize(), /entry 1 \(Aws\.kt\): secretsFile is not supported for the kotlin type/);
+    });
+});
@@ -0,0 +1,107 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { createPlugin, createNotesPlugin } = require('./support/fake-serverless');
+const { useWorkDirectory } = require('./support/work-directory');
+
+describe('multiple stages', function () {
+    const workDirectory = useWorkDirectory();
+
+    it('replaces the placeholders in the filename', function () {
+        const plugin = createNotesPlugin([
+            { type: 'native', filename: 'out/{service}-{stage}-{region}.json', appClient: 'WebUserPoolClient' }
+        ], { stage: 'prod', region: 'eu-west-1' });
+        return plugin.process().then(() => {
+            assert.ok(fs.existsSync(path.join(workDirectory.path, 'out', 'notes-prod-eu-west-1.json')));
+        });
+    });
+
+    it('selects the --filename entry by the replaced filename', function () {
+        const plugin = createNotesPlugin([
+            { type: 'native', filename: 'out/{stage}/awsconfiguration.json' },
+            { type: 'javascript', filename: 'out/{stage}/aws-exports.js' }
+        ], { options: { filename: 'out/dev/aws-exports.js' } });
+        assert.deepStrictEqual(plugin.getConfigurationEntries().map(e => e.filename), [ 'out/dev/aws-exports.js' ]);
+    });
+
+    it('writes an index of every stage', function () {
+        const amplify = [
+            { type: 'commonjs', filename: 'out/aws-exports.js', appClient: 'WebUserPoolClient', mergeStages: true, stageVariable: 'TEST_STAGE' }
+        ];
+        const deploy = stage => createNotesPlugin(amplify, { stage: stage }).process();
+        return deploy('prod').then(() => {
+            // Files that look like stage files are not stages unless they were deployed
+            fs.writeFileSync(path.join(workDirectory.path, 'out', 'aws-exports.test.js'), 'module.exports = {};\n');
+            fs.writeFileSync(path.join(workDirectory.path, 'out', 'aws-exports.secrets.js'), 'module.exports = {};\n');
+            return deploy('dev');
+        }).then(() => {
+            const index = path.join(workDirectory.path, 'out', 'aws-exports.js');
+            const contents = fs.readFileSync(index, 'utf8');
+            assert.ok(contents.includes('// Stages: dev, prod\n'));
+            assert.ok(!contents.includes('aws-exports.test'));
+            assert.ok(!contents.includes('aws-exports.secrets'));
+
+            const dev = require(path.join(workDirectory.path, 'out', 'aws-exports.dev.js'));
+            const prod = require(path.join(workDirectory.path, 'out', 'aws-exports.prod.js'));
+
+            process.env.TEST_STAGE = 'prod';
+            try {
+                assert.strictEqual(require(index), prod);
+                delete require.cache[index];
+                delete process.env.TEST_STAGE;
+                assert.strictEqual(require(index), dev);
+                delete require.cache[index];
+                process.env.TEST_STAGE = 'test';
+                assert.throws(() => require(index), /No AWS configuration for stage test/);
+            } finally {
+                delete process.env.TEST_STAGE;
+            }
+        });
+    });
+
+    it('only merges stages for JavaScript types', function () {
+        assert.throws(() => createPlugin([ { type: 'native', filename: 'awsconfiguration.json', mergeStages: true } ], {}),
+            /mergeStages is only supported for the javascript, typescript, commonjs types/);
+    });
+
+    it('rejects a defaultStage that is not a stage name', function () {
+        assert.throws(() => createPlugin([
+            { type: 'javascript', filename: 'aws-exports.js', mergeStages: true, defaultStage: "prod'; //" },
+            { type: 'javascript', filename: 'aws-exports.js', defaultStage: 'prod' }
+        ], {}), (error) => {
+            assert.ok(error.message.includes('entry 1 (aws-exports.js): defaultStage must be the name of a stage'));
+            assert.ok(error.message.includes('entry 2 (aws-exports.js): defaultStage requires the mergeStages option'));
+            return true;
+        });
+    });
+
+    it('warns when the default stage has not been deployed', function () {
+        const plugin = createNotesPlugin([
+            { type: 'commonjs', filename: 'out/aws-exports.js', appClient: 'WebUserPoolClient', mergeStages: true, defaultStage: 'prdo' }
+        ]);
+        return plugin.process().then(() => {
+            assert.ok(plugin.logs.some(l => l.level === 'warn' &&
+                l.message === 'The default stage prdo of out/aws-exports.js has not been deployed - AMPLIFY_STAGE must be set until it is'));
+        });
+    });
+
+    it('writes a secrets file for each stage', function () {
+        assert.throws(() => createPlugin([
+            { type: 'commonjs', filename: 'out/aws-exports.js', mergeStages: true, secretsFile: 'out/aws-secrets.js' }
+        ], {}), /secretsFile must include the \{stage\} placeholder when mergeStages is set/);
+
+        const amplify = [
+            { type: 'commonjs', filename: 'out/aws-exports.js', appClient: 'AdminUserPoolClient', mergeStages: true, secretsFile: 'out/aws-secrets.{stage}.js' }
+        ];
+        const deploy = stage => createNotesPlugin(amplify, { stage: stage }).process();
+        return deploy('prod').then(() => deploy('dev')).then(() => {
+            assert.deepStrictEqual(fs.readdirSync(path.join(workDirectory.path, 'out')).sort(), [
+                'aws-exports.dev.js', 'aws-exports.js', 'aws-exports.prod.js', 'aws-secrets.dev.js', 'aws-secrets.prod.js'
+            ]);
+            assert.ok(fs.readFileSync(path.join(workDirectory.path, 'out', 'aws-exports.prod.js'), 'utf8').includes('aws-secrets.prod'));
+        });
+    });
+});
@@ -0,0 +1,124 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const ServerlessAmplifyPlugin = require('../../index');
+const notes = require('../fixtures/notes-stack');
+
+/**
+ * An in-memory stand-in for the Serverless Framework AWS provider.  Requests are
+ * answered from a set of recorded responses, keyed by '<Service>.<operation>'.
+ * A recorded response is either the response itself, or a function that is called
+ * with the request parameters and returns the response.  Every request is recorded
+ * in calls, so tests can check what was asked for.
+ */
+class FakeProvider {
+    /**
+     * @param {Object} responses the recorded responses
+     * @param {Object} settings the stage, region and stackName of the service
+     */
+    constructor(responses, settings) {
+        this.responses = responses;
+        this.settings = settings;
+        this.calls = [];
+        this.naming = {
+            getStackName: () => settings.stackName,
+            getLambdaLogicalId: name => `${name.charAt(0).toUpperCase()}${name.slice(1).replace(/-/g, 'Dash').replace(/_/g, 'Underscore')}LambdaFunction`
+        };
+    }
+
+    getStage() {
+        return this.settings.stage;
+    }
+
+    getRegion() {
+        return this.settings.region;
+    }
+
+    request(service, method, params, options) {
+        // The plugin re-uses the parameters object when following NextToken, so record a copy
+        this.calls.push({
+            service: service,
+            method: method,
+            params: JSON.parse(JSON.stringify(params)),
+            region: (options && options.region) || this.settings.region
+        });
+
+        const key = `${service}.${method}`;
+        if (!this.responses.hasOwnProperty(key)) {
+            return Promise.reject(new Error(`No recorded response for ${key}`));
+        }
+        try {
+            const response = this.responses[key];
+            return Promise.resolve(typeof response === 'function' ? response(params, options) : response);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Returns the recorded calls to an operation.
+     *
+     * @param {String} service the service name, e.g. CloudFormation
+     * @param {String} method the operation, e.g. listStackResources
+     * @returns {Object[]} the list of calls
+     */
+    callsTo(service, method) {
+        return this.calls.filter(c => c.service === service && c.method === method);
+    }
+}
+
+/**
+ * Creates the plugin for a service with the fake provider.  Log messages are
+ * collected in plugin.logs rather than written to the console.
+ *
+ * @param {Object[]} amplify the custom.amplify section
+ * @param {Object} responses the recorded responses
+ * @param {Object} settings optional stage, region, stackName, template, options and service.  A
+ *  template of undefined leaves the service without a compiled template, as in amplify generate
+ * @returns {ServerlessAmplifyPlugin} the plugin
+ */
+function createPlugin(amplify, responses, settings = {}) {
+    const provider = new FakeProvider(responses, {
+        stage: settings.stage || 'dev',
+        region: settings.region || 'us-east-1',
+        stackName: settings.stackName || 'notes-dev'
+    });
+    const serverless = {
+        getProvider: () => provider,
+        config: { servicePath: settings.servicePath || process.cwd() },
+        service: {
+            service: settings.service || 'notes',
+            custom: { amplify: amplify },
+            functions: settings.functions || {},
+            provider: {
+                compiledCloudFormationTemplate: settings.hasOwnProperty('template') ? settings.template : { Resources: {} }
+            }
+        },
+        pluginManager: {
+            spawn: () => Promise.resolve()
+        }
+    };
+
+    const plugin = new ServerlessAmplifyPlugin(serverless, settings.options || {});
+    plugin.logs = [];
+    plugin.log = (level, message) => plugin.logs.push({ level: level, message: message });
+    return plugin;
+}
+
+/**
+ * Creates the plugin for the recorded notes-dev stack.
+ *
+ * @param {Object[]} amplify the custom.amplify section
+ * @param {Object} settings as for createPlugin, plus responses to replace the recorded ones.
+ *  The template defaults to the notes-dev template
+ * @returns {ServerlessAmplifyPlugin} the plugin
+ */
+function createNotesPlugin(amplify, settings = {}) {
+    return createPlugin(amplify, settings.responses || notes.responses(), Object.assign({ template: notes.TEMPLATE }, settings));
+}
+
+module.exports = {
+    FakeProvider,
+    createPlugin,
+    createNotesPlugin
+};
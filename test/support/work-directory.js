@@ -0,0 +1,67 @@
+// Copyright 2018 Amazon.com, Inc. or its affiliates. All Rights Reserved.
+// SPDX-License-Identifier: Apache-2.0
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Creates an empty directory in the OS temporary directory for a test to write
+ * files into.
+ *
+ * @returns {String} the path to the directory
+ */
+function createWorkDirectory() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'amplify-plugin-test-'));
+}
+
+/**
+ * Removes a work directory and everything within it.
+ *
+ * @param {String} directory the path to the directory
+ */
+function removeWorkDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+        return;
+    }
+    fs.readdirSync(directory).forEach((name) => {
+        const file = path.join(directory, name);
+        if (fs.lstatSync(file).isDirectory()) {
+            removeWorkDirectory(file);
+        } else {
+            fs.unlinkSync(file);
+        }
+    });
+    fs.rmdirSync(directory);
+}
+
+/**
+ * Registers mocha hooks that run the tests of the enclosing describe block in a
+ * work directory, and change back to the original directory afterwards.
+ *
+ * @param {Object} options set each to false to share one directory between the tests
+ * @returns {Object} the work directory, whose path is set while the tests run
+ */
+function useWorkDirectory(options = {}) {
+    const each = options.each !== false;
+    const originalDirectory = process.cwd();
+    const workDirectory = { path: undefined };
+
+    (each ? beforeEach : before)(function () {
+        workDirectory.path = createWorkDirectory();
+        process.chdir(workDirectory.path);
+    });
+
+    (each ? afterEach : after)(function () {
+        process.chdir(originalDirectory);
+        removeWorkDirectory(workDirectory.path);
+    });
+
+    return workDirectory;
+}
+
+module.exports = {
+    createWorkDirectory,
+    removeWorkDirectory,
+    useWorkDirectory
+};